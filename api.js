@@ -2,6 +2,14 @@
  * TV Show API Integration
  * Uses TVMaze API for show/episode data
  * Uses TMDB API for streaming availability (free, powered by JustWatch)
+ *
+ * Responses are cached in the storage engine, or a store passed to TV_API.configure
+ * (see API RESPONSE CACHE): fresh ones
+ * are served without a request, stale ones right away while a fresh copy is fetched
+ * in the background, and any cached copy when the network can't be reached.
+ * Requests go through a scheduler (see REQUEST SCHEDULER) that caps how many run at
+ * once and how often requests to rate-limited hosts start, and retries rate-limited
+ * and failed ones; failures are thrown as ApiError.
  */
 
 // TMDB API key (free tier) - Get yours at https://www.themoviedb.org/settings/api
@@ -28,30 +36,349 @@ const TMDB_PROVIDER_MAP = {
     300: 'pluto',        // Pluto TV
     283: 'crunchyroll',  // Crunchyroll
     1899: 'espn',        // ESPN+
+    119: 'prime',        // Prime Video (outside the US)
+    10: 'prime',         // Amazon Video (rent/buy)
+    2: 'apple',          // Apple TV (rent/buy)
+    3: 'googleplay',     // Google Play Movies
+    192: 'youtube',      // YouTube
+    230: 'crave',        // Crave (Canada)
+    38: 'bbc',           // BBC iPlayer (UK)
+    41: 'itvx',          // ITVX (UK)
+    103: 'channel4',     // Channel 4 (UK)
+    39: 'nowtv',         // NOW (UK, Ireland)
+    29: 'sky',           // Sky Go (UK, Ireland)
+    151: 'britbox',      // BritBox
+    21: 'stan',          // Stan (Australia)
+    385: 'binge',        // Binge (Australia)
+    134: 'foxtel',       // Foxtel Now (Australia)
 };
 
+// Map TMDB watch provider lists to our provider categories (see PROVIDER_CATEGORIES)
+const TMDB_PROVIDER_CATEGORIES = {
+    flatrate: 'subscription',
+    free: 'free',
+    ads: 'ads',
+    rent: 'rent',
+    buy: 'buy'
+};
+
+// ============================================
+// REQUEST SCHEDULER
+// ============================================
+
+// Max requests in flight at once, across all hosts
+const API_MAX_CONCURRENT = 4;
+
+// Most requests started per window, per host. TVMaze allows about 20 calls per 10 seconds;
+// staying just under it keeps bulk refreshes from running into 429s.
+const API_RATE_LIMITS = {
+    'api.tvmaze.com': { requests: 18, windowMs: 10 * 1000 }
+};
+
+// Retries for rate-limited (429) and server error (5xx) responses
+const API_MAX_RETRIES = 3;
+
+// First retry delay in milliseconds; doubles with each retry unless the server sends Retry-After
+const API_RETRY_BASE_MS = 1000;
+
+// Why an API request failed (stored as ApiError.type)
+const API_ERROR_TYPES = {
+    RATE_LIMITED: 'rateLimited',
+    OFFLINE: 'offline',
+    NOT_FOUND: 'notFound',
+    ABORTED: 'aborted',
+    FAILED: 'failed'
+};
+
+/**
+ * Error thrown for failed API requests; type is one of API_ERROR_TYPES
+ */
+class ApiError extends Error {
+    constructor(type, message, status = null) {
+        super(message);
+        this.name = 'ApiError';
+        this.type = type;
+        this.status = status;
+    }
+}
+
+const REQUEST_SCHEDULER = {
+    active: 0,
+    waiting: [],
+    started: {}, // Start times of recent requests, per rate-limited host
+    timer: null,
+
+    /**
+     * Run a task once fewer than API_MAX_CONCURRENT tasks are running and its
+     * host's rate limit (see API_RATE_LIMITS) allows another request
+     * @param {Function} task - Returns a promise
+     * @param {string} host - Host the task sends its request to
+     * @param {AbortSignal} [signal] - Cancels the task while it waits, without using up the rate limit
+     * @returns {Promise<*>} Settles with the task's result
+     */
+    run(task, host, signal) {
+        return new Promise((resolve, reject) => {
+            if (signal?.aborted) {
+                reject(new ApiError(API_ERROR_TYPES.ABORTED, 'Request was cancelled'));
+                return;
+            }
+            const item = { task, host, signal, resolve, reject };
+            item.onAbort = () => {
+                this.waiting.splice(this.waiting.indexOf(item), 1);
+                reject(new ApiError(API_ERROR_TYPES.ABORTED, 'Request was cancelled'));
+            };
+            signal?.addEventListener('abort', item.onAbort, { once: true });
+            this.waiting.push(item);
+            this.next();
+        });
+    },
+
+    /**
+     * Get how long until another request to a host may start
+     * @param {string} host - Request host
+     * @returns {number} Delay in milliseconds (0 if a request may start now)
+     */
+    getRateLimitDelay(host) {
+        const limit = API_RATE_LIMITS[host];
+        if (!limit) return 0;
+
+        const now = Date.now();
+        const recent = (this.started[host] || []).filter(time => now - time < limit.windowMs);
+        this.started[host] = recent;
+        return recent.length < limit.requests ? 0 : recent[0] + limit.windowMs - now;
+    },
+
+    next() {
+        while (this.active < API_MAX_CONCURRENT && this.waiting.length > 0) {
+            // Oldest task whose host allows a request now
+            const delays = this.waiting.map(item => this.getRateLimitDelay(item.host));
+            const index = delays.indexOf(0);
+            if (index === -1) {
+                if (!this.timer) {
+                    this.timer = setTimeout(() => {
+                        this.timer = null;
+                        this.next();
+                    }, Math.min(...delays));
+                }
+                return;
+            }
+
+            const { task, host, signal, onAbort, resolve, reject } = this.waiting.splice(index, 1)[0];
+            signal?.removeEventListener('abort', onAbort);
+            if (API_RATE_LIMITS[host]) {
+                this.started[host].push(Date.now());
+            }
+            this.active++;
+            task()
+                .then(resolve, reject)
+                .finally(() => {
+                    this.active--;
+                    this.next();
+                });
+        }
+    }
+};
+
+/**
+ * Wait before retrying a request
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} [signal] - Cancels the wait
+ * @returns {Promise<void>}
+ */
+function waitForRetry(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+            reject(new ApiError(API_ERROR_TYPES.ABORTED, 'Request was cancelled'));
+            return;
+        }
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(new ApiError(API_ERROR_TYPES.ABORTED, 'Request was cancelled'));
+        };
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+/**
+ * Fetch a URL through the scheduler, retrying 429 and 5xx responses with exponential backoff
+ * @param {string} url - Request URL
+ * @param {AbortSignal} [signal] - Cancels the request, including any pending retries
+ * @returns {Promise<Response>} The successful response
+ * @throws {ApiError} When the request fails, is cancelled or runs out of retries
+ */
+async function scheduledFetch(url, signal) {
+    for (let attempt = 0; ; attempt++) {
+        let response;
+        try {
+            response = await REQUEST_SCHEDULER.run(() => fetch(url, { signal }), new URL(url).hostname, signal);
+        } catch (error) {
+            if (error instanceof ApiError) throw error;
+            if (error.name === 'AbortError') {
+                throw new ApiError(API_ERROR_TYPES.ABORTED, 'Request was cancelled');
+            }
+            throw new ApiError(API_ERROR_TYPES.OFFLINE, 'Could not reach the server');
+        }
+
+        if (response.ok) {
+            return response;
+        }
+
+        const retryable = response.status === 429 || response.status >= 500;
+        if (retryable && attempt < API_MAX_RETRIES) {
+            const retryAfter = parseInt(response.headers.get('Retry-After'));
+            const delay = retryAfter > 0 ? retryAfter * 1000 : API_RETRY_BASE_MS * 2 ** attempt;
+            await waitForRetry(delay, signal);
+            continue;
+        }
+
+        if (response.status === 429) {
+            throw new ApiError(API_ERROR_TYPES.RATE_LIMITED, 'Too many requests', response.status);
+        }
+        if (response.status === 404) {
+            throw new ApiError(API_ERROR_TYPES.NOT_FOUND, 'Not found', response.status);
+        }
+        throw new ApiError(API_ERROR_TYPES.FAILED, `Request failed with status ${response.status}`, response.status);
+    }
+}
+
+// ============================================
+// API RESPONSE CACHE
+// ============================================
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// How long cached responses count as fresh, per endpoint
+const API_CACHE_TTL = {
+    SEARCH: 6 * HOUR_MS,
+    SHOW: 24 * HOUR_MS,
+    EPISODES: 6 * HOUR_MS, // Running shows get new episodes
+    TMDB_ID: 30 * 24 * HOUR_MS, // IDs don't change
+    PROVIDERS: 24 * HOUR_MS
+};
+
+// Cached responses older than this are deleted, as are the oldest beyond the entry cap
+const API_CACHE_MAX_AGE = 60 * 24 * HOUR_MS; // Twice the longest TTL
+const API_CACHE_MAX_ENTRIES = 500;
+
+// Store for cached responses: { getApiResponse(key), putApiResponse(entry), pruneApiResponses(before, maxEntries) }.
+// The storage engine unless replaced with TV_API.configure.
+let apiCacheStore = null;
+
+/**
+ * Get the store cached responses are kept in
+ * @returns {Object} The configured store, or the storage engine
+ */
+function getApiCacheStore() {
+    return apiCacheStore || STORAGE_ENGINE;
+}
+
+/**
+ * Delete cached responses that are long past their TTL, and the oldest beyond the entry cap.
+ * Run once at startup.
+ * @returns {Promise<number>} Number of responses deleted
+ */
+function pruneApiCache() {
+    const before = new Date(Date.now() - API_CACHE_MAX_AGE).toISOString();
+    return getApiCacheStore().pruneApiResponses(before, API_CACHE_MAX_ENTRIES);
+}
+
+/**
+ * Get the cache key for a request: its URL without the API key
+ * @param {string} url - Request URL
+ * @returns {string} Cache key
+ */
+function getApiCacheKey(url) {
+    const parsed = new URL(url);
+    parsed.searchParams.delete('api_key');
+    return parsed.toString();
+}
+
+/**
+ * Fetch JSON from the network and cache it
+ * @param {string} url - Request URL
+ * @param {AbortSignal} [signal] - Cancels the request
+ * @returns {Promise<*>} Parsed response body
+ */
+async function fetchAndCacheJson(url, signal) {
+    const response = await scheduledFetch(url, signal);
+    const data = await response.json();
+    getApiCacheStore().putApiResponse({ key: getApiCacheKey(url), data, fetchedAt: new Date().toISOString() });
+    return data;
+}
+
+/**
+ * Fetch JSON through the response cache. A fresh cached copy is returned as is; a
+ * stale one is returned right away and refreshed in the background. Without a cached
+ * copy (or with options.fresh) the network is asked first, falling back to the cached
+ * copy if the request fails for any reason other than being cancelled or not found.
+ * @param {string} url - Request URL
+ * @param {number} ttl - How long a cached response stays fresh, in milliseconds
+ * @param {Object} options - { fresh: true } to ask the network first (e.g. an explicit refresh),
+ *     signal: AbortSignal to cancel the request
+ * @returns {Promise<Object>} { data, cached } where cached is true if the data may be out of date
+ */
+async function fetchJsonCached(url, ttl, options = {}) {
+    const entry = await getApiCacheStore().getApiResponse(getApiCacheKey(url));
+    const age = entry ? Date.now() - new Date(entry.fetchedAt).getTime() : Infinity;
+
+    if (entry && !options.fresh) {
+        if (age < ttl) {
+            return { data: entry.data, cached: false };
+        }
+        fetchAndCacheJson(url).catch(error => console.error('Failed to revalidate cached response:', error));
+        return { data: entry.data, cached: true };
+    }
+
+    try {
+        return { data: await fetchAndCacheJson(url, options.signal), cached: false };
+    } catch (error) {
+        const final = error.type === API_ERROR_TYPES.ABORTED || error.type === API_ERROR_TYPES.NOT_FOUND;
+        if (entry && !final) {
+            console.warn('Serving cached response, request failed:', error);
+            return { data: entry.data, cached: true };
+        }
+        throw error;
+    }
+}
+
+// ============================================
+// TV API
+// ============================================
+
 const TV_API = {
     BASE_URL: 'https://api.tvmaze.com',
+    TMDB_BASE_URL,
+
+    /**
+     * Point the client at other servers or another response cache (e.g. a local mock server in tests)
+     * @param {Object} options - { baseUrl, tmdbBaseUrl, cacheStore }; omitted ones are left as they are
+     */
+    configure({ baseUrl, tmdbBaseUrl, cacheStore } = {}) {
+        if (baseUrl) this.BASE_URL = baseUrl;
+        if (tmdbBaseUrl) this.TMDB_BASE_URL = tmdbBaseUrl;
+        if (cacheStore) apiCacheStore = cacheStore;
+    },
 
     /**
      * Search for TV shows by name
      * @param {string} query - Search term
-     * @returns {Promise<Array>} Array of show results
+     * @param {AbortSignal} [signal] - Cancels the search (e.g. when a newer one supersedes it)
+     * @returns {Promise<Object>} { results, cached } with the array of show results
      */
-    async searchShows(query) {
+    async searchShows(query, signal) {
         try {
-            const response = await fetch(
-                `${this.BASE_URL}/search/shows?q=${encodeURIComponent(query)}`
+            const { data: results, cached } = await fetchJsonCached(
+                `${this.BASE_URL}/search/shows?q=${encodeURIComponent(query)}`,
+                API_CACHE_TTL.SEARCH,
+                { signal }
             );
 
-            if (!response.ok) {
-                throw new Error('Search failed');
-            }
-
-            const results = await response.json();
-
             // Transform results to simpler format
-            return results.map(item => ({
+            const shows = results.map(item => ({
                 id: item.show.id,
                 imdbId: item.show.externals?.imdb || null,
                 name: item.show.name,
@@ -62,8 +389,11 @@ const TV_API = {
                 image: item.show.image ? item.show.image.medium : null,
                 summary: item.show.summary ? item.show.summary.replace(/<[^>]*>/g, '') : null
             }));
+            return { results: shows, cached };
         } catch (error) {
-            console.error('Error searching shows:', error);
+            if (error.type !== API_ERROR_TYPES.ABORTED) {
+                console.error('Error searching shows:', error);
+            }
             throw error;
         }
     },
@@ -75,16 +405,11 @@ const TV_API = {
      */
     async getEpisodes(showId) {
         try {
-            const response = await fetch(
-                `${this.BASE_URL}/shows/${showId}/episodes`
+            const { data: episodes } = await fetchJsonCached(
+                `${this.BASE_URL}/shows/${showId}/episodes`,
+                API_CACHE_TTL.EPISODES
             );
 
-            if (!response.ok) {
-                throw new Error('Failed to fetch episodes');
-            }
-
-            const episodes = await response.json();
-
             // Transform to our format
             return episodes.map(ep => ({
                 season: ep.season,
@@ -99,100 +424,126 @@ const TV_API = {
     },
 
     /**
-     * Get streaming availability from TMDB API (powered by JustWatch)
+     * Find a show's TMDB ID, by its IMDb ID when known and otherwise by name
      * @param {string} showName - Show name to search for
-     * @returns {Promise<Object>} Object with serviceIds array and streamingLinks map
+     * @param {string|null} imdbId - IMDb ID (e.g. "tt0903747")
+     * @returns {Promise<number|null>} TMDB ID, or null if the show was not found
      */
-    async getStreamingAvailability(showName) {
-        try {
-            // First, search TMDB for the show
-            const searchResponse = await fetch(
-                `${TMDB_BASE_URL}/search/tv?api_key=${TMDB_API_KEY}&query=${encodeURIComponent(showName)}`
-            );
-
-            if (!searchResponse.ok) {
-                throw new Error('TMDB search failed');
-            }
-
-            const searchResults = await searchResponse.json();
-            if (!searchResults.results || searchResults.results.length === 0) {
-                console.log('Could not find show on TMDB:', showName);
-                return { serviceIds: [], streamingLinks: {} };
+    async findTmdbId(showName, imdbId = null) {
+        if (imdbId) {
+            try {
+                const { data: found } = await fetchJsonCached(
+                    `${this.TMDB_BASE_URL}/find/${encodeURIComponent(imdbId)}?api_key=${TMDB_API_KEY}&external_source=imdb_id`,
+                    API_CACHE_TTL.TMDB_ID
+                );
+                if (found.tv_results && found.tv_results.length > 0) {
+                    return found.tv_results[0].id;
+                }
+            } catch (error) {
+                console.warn('TMDB lookup by IMDb ID failed, searching by name:', error);
             }
+        }
 
-            // Find best match (prefer exact match)
-            const exactMatch = searchResults.results.find(
-                r => r.name.toLowerCase() === showName.toLowerCase()
-            );
-            const tmdbId = exactMatch ? exactMatch.id : searchResults.results[0].id;
+        const { data: searchResults } = await fetchJsonCached(
+            `${this.TMDB_BASE_URL}/search/tv?api_key=${TMDB_API_KEY}&query=${encodeURIComponent(showName)}`,
+            API_CACHE_TTL.TMDB_ID
+        );
+        if (!searchResults.results || searchResults.results.length === 0) {
+            console.log('Could not find show on TMDB:', showName);
+            return null;
+        }
 
-            // Get watch providers for the show
-            const providersResponse = await fetch(
-                `${TMDB_BASE_URL}/tv/${tmdbId}/watch/providers?api_key=${TMDB_API_KEY}`
-            );
+        // Find best match (prefer exact match)
+        const exactMatch = searchResults.results.find(
+            r => r.name.toLowerCase() === showName.toLowerCase()
+        );
+        return exactMatch ? exactMatch.id : searchResults.results[0].id;
+    },
 
-            if (!providersResponse.ok) {
-                throw new Error('Failed to fetch watch providers');
+    /**
+     * Get streaming availability from TMDB API (powered by JustWatch) in the region
+     * chosen in settings. Every provider category is read; which ones are shown is
+     * up to the provider category settings (see getWhereToWatch).
+     * @param {string} showName - Show name to search for
+     * @param {string|null} imdbId - IMDb ID, used to find the show on TMDB when known
+     * @param {Object} options - { fresh: true } to ask the network before the cache;
+     *     { tmdbId } to skip looking the show up on TMDB
+     * @returns {Promise<Object>} Object with tmdbId, region (null if availability could not be
+     *     looked up), serviceIds array, streamingLinks map and streamingCategories map (service ID
+     *     to the categories it offers the show in)
+     */
+    async getStreamingAvailability(showName, imdbId = null, options = {}) {
+        const empty = { region: null, serviceIds: [], streamingLinks: {}, streamingCategories: {} };
+        let tmdbId = options.tmdbId || null;
+        try {
+            // First, find the show on TMDB
+            tmdbId = tmdbId || await this.findTmdbId(showName, imdbId);
+            if (!tmdbId) {
+                return { tmdbId, ...empty };
             }
 
-            const providersData = await providersResponse.json();
+            // Get watch providers for the show
+            const { data: providersData } = await fetchJsonCached(
+                `${this.TMDB_BASE_URL}/tv/${tmdbId}/watch/providers?api_key=${TMDB_API_KEY}`,
+                API_CACHE_TTL.PROVIDERS,
+                options
+            );
 
-            // Get US providers (flatrate = subscription, free = free with ads)
-            const usProviders = providersData.results?.US;
-            if (!usProviders) {
-                return { serviceIds: [], streamingLinks: {} };
+            // Get providers for the user's region
+            const region = getSettings().streamingRegion || DEFAULT_SETTINGS.streamingRegion;
+            const regionProviders = providersData.results?.[region];
+            if (!regionProviders) {
+                // Not available in this region
+                return { tmdbId, ...empty, region };
             }
 
             const serviceIds = [];
             const streamingLinks = {};
-            const seenServices = new Set();
+            const streamingCategories = {};
 
             // JustWatch link from TMDB
-            const justWatchLink = usProviders.link || null;
-
-            // Combine flatrate (subscription) and free providers
-            const allProviders = [
-                ...(usProviders.flatrate || []),
-                ...(usProviders.free || [])
-            ];
-
-            for (const provider of allProviders) {
-                const ourServiceId = TMDB_PROVIDER_MAP[provider.provider_id];
-                if (ourServiceId && !seenServices.has(ourServiceId)) {
-                    seenServices.add(ourServiceId);
-                    serviceIds.push(ourServiceId);
-                    // Use JustWatch link for all services
-                    if (justWatchLink) {
-                        streamingLinks[ourServiceId] = justWatchLink;
+            const justWatchLink = regionProviders.link || null;
+
+            for (const [listName, category] of Object.entries(TMDB_PROVIDER_CATEGORIES)) {
+                for (const provider of regionProviders[listName] || []) {
+                    const ourServiceId = TMDB_PROVIDER_MAP[provider.provider_id];
+                    if (!ourServiceId) continue;
+
+                    if (!streamingCategories[ourServiceId]) {
+                        streamingCategories[ourServiceId] = [];
+                        serviceIds.push(ourServiceId);
+                        // Use JustWatch link for all services
+                        if (justWatchLink) {
+                            streamingLinks[ourServiceId] = justWatchLink;
+                        }
+                    }
+                    if (!streamingCategories[ourServiceId].includes(category)) {
+                        streamingCategories[ourServiceId].push(category);
                     }
                 }
             }
 
-            return { serviceIds, streamingLinks };
+            return { tmdbId, region, serviceIds, streamingLinks, streamingCategories };
         } catch (error) {
             console.error('Error fetching streaming availability:', error);
-            return { serviceIds: [], streamingLinks: {} }; // Return empty on error
+            return { tmdbId, ...empty }; // Return empty on error
         }
     },
 
     /**
      * Get show details including episode count per season
      * @param {number} showId - TVMaze show ID
-     * @returns {Promise<Object>} Show details with seasons info
+     * @param {Object} options - { fresh: true } to ask the network before the cache (e.g. when refreshing a show)
+     * @returns {Promise<Object>} Show details with seasons info; cached is true if they may be out of date
      */
-    async getShowDetails(showId) {
+    async getShowDetails(showId, options = {}) {
         try {
-            const [showResponse, episodesResponse] = await Promise.all([
-                fetch(`${this.BASE_URL}/shows/${showId}`),
-                fetch(`${this.BASE_URL}/shows/${showId}/episodes`)
+            const [showResult, episodesResult] = await Promise.all([
+                fetchJsonCached(`${this.BASE_URL}/shows/${showId}`, API_CACHE_TTL.SHOW, options),
+                fetchJsonCached(`${this.BASE_URL}/shows/${showId}/episodes`, API_CACHE_TTL.EPISODES, options)
             ]);
-
-            if (!showResponse.ok || !episodesResponse.ok) {
-                throw new Error('Failed to fetch show details');
-            }
-
-            const show = await showResponse.json();
-            const episodes = await episodesResponse.json();
+            const show = showResult.data;
+            const episodes = episodesResult.data;
 
             // Group episodes by season
             const seasons = {};
@@ -204,11 +555,18 @@ const TV_API = {
             });
 
             // Get streaming availability from TMDB
-            const { serviceIds, streamingLinks } = await this.getStreamingAvailability(show.name);
+            const imdbId = show.externals?.imdb || null;
+            const { tmdbId, region, serviceIds, streamingLinks, streamingCategories } =
+                await this.getStreamingAvailability(show.name, imdbId, options);
 
             return {
                 id: show.id,
+                imdbId,
+                tmdbId,
                 name: show.name,
+                genres: show.genres || [],
+                status: show.status || null, // e.g. "Running", "Ended"
+                premiereYear: show.premiered ? parseInt(show.premiered.split('-')[0]) : null,
                 runtime: show.runtime || show.averageRuntime || 30,
                 totalEpisodes: episodes.length,
                 totalSeasons: Object.keys(seasons).length,
@@ -217,12 +575,15 @@ const TV_API = {
                 webChannel: show.webChannel?.name || null,
                 streamingServices: serviceIds,
                 streamingLinks: streamingLinks,
+                streamingCategories: streamingCategories,
+                streamingRegion: region,
                 episodes: episodes.map(ep => ({
                     season: ep.season,
                     episodeNumber: ep.number,
                     title: ep.name || `Episode ${ep.number}`,
                     runtime: ep.runtime || show.runtime || show.averageRuntime || 30
-                }))
+                })),
+                cached: showResult.cached || episodesResult.cached
             };
         } catch (error) {
             console.error('Error fetching show details:', error);
@@ -9,13 +9,36 @@
 // STATE
 // ============================================
 
-// Current Couch Potato queue
+// Current Couch Potato queue (saved as the Couch Potato session, see saveCurrentSession)
 let currentQueue = null;
 let currentQueueIndex = 0;
+let currentSessionStartedAt = null;
+let currentItemStartedAt = null; // When the current queue episode started, for the projected end
+let isWatchingQueue = false;
+
+// Randomize tab constraints (kept for the session only; the genre filter is a setting)
+let pickerConstraints = {
+    maxRuntime: null,
+    onlyMyServices: false,
+    includeShowIds: [],
+    excludeShowIds: []
+};
+
+// Continue-watching mode: shows served in order instead of at random (session only)
+let continueShowIds = [];
+
+// Shows list status filter ('all' groups the list by status)
+let showsStatusFilter = 'all';
 
 // Currently selected show for detail modal
 let selectedShowId = null;
 
+// Currently selected franchise for the franchise modal
+let selectedFranchiseId = null;
+
+// Cancels the show search in flight when a newer one starts
+let searchController = null;
+
 // Temp storage for show being added from search (holds streaming info)
 let pendingShowData = null;
 
@@ -23,7 +46,12 @@ let pendingShowData = null;
 // INITIALIZATION
 // ============================================
 
-document.addEventListener('DOMContentLoaded', () => {
+document.addEventListener('DOMContentLoaded', async () => {
+    // Load stored data before anything reads it
+    await initStorage();
+    pruneApiCache();
+    initializeStorageErrors();
+
     initializeTabs();
     initializeShowsList();
     initializeRandomPicker();
@@ -31,12 +59,15 @@ document.addEventListener('DOMContentLoaded', () => {
     initializeHistory();
     initializeSettings();
     initializeModals();
+    initializeUndo();
 
     // Render initial state
     renderShowsList();
     renderHistory();
     loadCouchPotatoSettings();
+    loadPickerSettings();
     renderStreamingServices();
+    restoreCouchPotatoSession();
 });
 
 // ============================================
@@ -74,6 +105,8 @@ function renderShowsList() {
     const shows = getShows();
 
     if (shows.length === 0) {
+        document.getElementById('shows-status-filter').innerHTML = '';
+        renderPickerConstraints();
         container.innerHTML = `
             <div class="empty-state">
                 <p>No shows added yet.</p>
@@ -83,29 +116,23 @@ function renderShowsList() {
         return;
     }
 
-    container.innerHTML = shows.map(show => {
-        const progress = calculateShowProgress(show);
-        const whereToWatch = getWhereToWatch(show);
-        return `
-            <div class="show-card" data-show-id="${show.id}">
-                <div class="show-info">
-                    <h3 class="show-title">${escapeHtml(show.title)}</h3>
-                    <span class="show-progress-text">${progress.watched}/${progress.total} episodes</span>
-                </div>
-                ${whereToWatch.length > 0 ? `
-                    <div class="show-streaming">
-                        ${whereToWatch.map(service => service.link
-                            ? `<a href="${service.link}" target="_blank" rel="noopener" class="streaming-badge streaming-link" style="--service-color: ${service.color}" onclick="event.stopPropagation()">${service.name}</a>`
-                            : `<span class="streaming-badge" style="--service-color: ${service.color}">${service.name}</span>`
-                        ).join('')}
-                    </div>
-                ` : ''}
-                <div class="progress-bar">
-                    <div class="progress-fill" style="width: ${progress.percentage}%"></div>
-                </div>
-            </div>
-        `;
-    }).join('');
+    renderStatusFilter(shows);
+
+    if (showsStatusFilter === 'all') {
+        // Group by status, in SHOW_STATUS_LABELS order
+        container.innerHTML = Object.keys(SHOW_STATUS_LABELS).map(status => {
+            const group = shows.filter(show => show.watchStatus === status);
+            return group.length === 0 ? '' : `
+                <h2 class="status-group-header">${SHOW_STATUS_LABELS[status]} <span>${group.length}</span></h2>
+                ${group.map(renderShowCard).join('')}
+            `;
+        }).join('');
+    } else {
+        const filtered = shows.filter(show => show.watchStatus === showsStatusFilter);
+        container.innerHTML = filtered.length > 0
+            ? filtered.map(renderShowCard).join('')
+            : `<div class="empty-state"><p>No ${SHOW_STATUS_LABELS[showsStatusFilter].toLowerCase()} shows.</p></div>`;
+    }
 
     // Add click handlers to show cards
     container.querySelectorAll('.show-card').forEach(card => {
@@ -113,6 +140,93 @@ function renderShowsList() {
             openShowDetailModal(card.dataset.showId);
         });
     });
+
+    // The picker's show and genre chips depend on the shows list
+    renderPickerConstraints();
+}
+
+/**
+ * Render the status filter chips above the shows list
+ * @param {Array} shows - Array of show objects
+ */
+function renderStatusFilter(shows) {
+    const container = document.getElementById('shows-status-filter');
+    const counts = {};
+    shows.forEach(show => {
+        counts[show.watchStatus] = (counts[show.watchStatus] || 0) + 1;
+    });
+
+    const options = [['all', 'All', shows.length],
+        ...Object.entries(SHOW_STATUS_LABELS).map(([status, label]) => [status, label, counts[status] || 0])];
+    container.innerHTML = options.map(([status, label, count]) => `
+        <button type="button" class="constraint-chip ${showsStatusFilter === status ? 'included' : ''}" data-status="${status}">
+            ${label} (${count})
+        </button>
+    `).join('');
+
+    container.querySelectorAll('.constraint-chip').forEach(chip => {
+        chip.addEventListener('click', () => {
+            showsStatusFilter = chip.dataset.status;
+            renderShowsList();
+        });
+    });
+}
+
+/**
+ * Render a single show card for the shows list
+ * @param {Object} show - Show object
+ * @returns {string} HTML
+ */
+function renderShowCard(show) {
+    const progress = calculateShowProgress(show);
+    const whereToWatch = getWhereToWatch(show);
+    const meta = formatShowMeta(show);
+    const franchise = getShowFranchise(show.id);
+    return `
+        <div class="show-card" data-show-id="${show.id}">
+            <div class="show-info">
+                <h3 class="show-title">
+                    ${escapeHtml(show.title)}
+                    <span class="status-badge status-${show.watchStatus}">${SHOW_STATUS_LABELS[show.watchStatus] || ''}</span>
+                    ${renderPickingBadge(show)}
+                    ${franchise ? `<span class="status-badge franchise-badge">${escapeHtml(franchise.name)}</span>` : ''}
+                </h3>
+                <span class="show-progress-text">
+                    ${progress.pass > 1 ? `${formatPassLabel(progress.pass)} · ` : ''}${progress.watched}/${progress.total} episodes
+                </span>
+            </div>
+            ${meta ? `<div class="show-meta">${escapeHtml(meta)}</div>` : ''}
+            ${whereToWatch.length > 0 ? `
+                <div class="show-streaming">
+                    ${whereToWatch.map(service => service.link
+                        ? `<a href="${service.link}" target="_blank" rel="noopener" class="streaming-badge streaming-link" style="--service-color: ${service.color}" onclick="event.stopPropagation()">${formatServiceBadgeLabel(service)}</a>`
+                        : `<span class="streaming-badge" style="--service-color: ${service.color}">${formatServiceBadgeLabel(service)}</span>`
+                    ).join('')}
+                </div>
+            ` : ''}
+            <div class="progress-bar">
+                <div class="progress-fill" style="width: ${progress.percentage}%"></div>
+            </div>
+            ${progress.watched < progress.total ? `
+                <button class="btn btn-secondary btn-small continue-btn" onclick="event.stopPropagation(); startContinueWatching('${show.id}')">Continue</button>
+            ` : ''}
+        </div>
+    `;
+}
+
+/**
+ * Badge for shows the picker currently leaves out
+ * @param {Object} show - Show object
+ * @returns {string} HTML, or '' if the show can be picked
+ */
+function renderPickingBadge(show) {
+    if (show.neverAutoPick) {
+        return '<span class="status-badge picking-badge">Never picked</span>';
+    }
+    if (isShowSnoozed(show)) {
+        return `<span class="status-badge picking-badge">Snoozed until ${new Date(show.snoozedUntil).toLocaleDateString()}</span>`;
+    }
+    return '';
 }
 
 // ============================================
@@ -121,16 +235,325 @@ function renderShowsList() {
 
 function initializeRandomPicker() {
     document.getElementById('randomize-btn').addEventListener('click', handleRandomize);
+    initializePickerControls();
+    initializePickerConstraints();
+    initializeContinueRows();
+}
+
+function initializePickerConstraints() {
+    document.getElementById('constraint-max-runtime').addEventListener('change', (e) => {
+        const value = parseInt(e.target.value);
+        pickerConstraints.maxRuntime = value > 0 ? value : null;
+    });
+
+    document.getElementById('constraint-my-services').addEventListener('change', (e) => {
+        pickerConstraints.onlyMyServices = e.target.checked;
+    });
+
+    document.getElementById('clear-constraints-btn').addEventListener('click', () => {
+        pickerConstraints = {
+            maxRuntime: null,
+            onlyMyServices: false,
+            includeShowIds: [],
+            excludeShowIds: []
+        };
+        document.getElementById('constraint-max-runtime').value = '';
+        document.getElementById('constraint-my-services').checked = false;
+        updateSettings({ genreFilter: { include: [], exclude: [] } });
+        renderPickerConstraints();
+    });
+}
+
+/**
+ * Render the genre filter and show chips of the picker constraints
+ */
+function renderPickerConstraints() {
+    const shows = getShows();
+
+    // Forget shows that have since been deleted
+    const showIds = shows.map(show => show.id);
+    pickerConstraints.includeShowIds = pickerConstraints.includeShowIds.filter(id => showIds.includes(id));
+    pickerConstraints.excludeShowIds = pickerConstraints.excludeShowIds.filter(id => showIds.includes(id));
+    continueShowIds = continueShowIds.filter(id => showIds.includes(id));
+
+    renderGenreFilters(shows);
+    renderContinueRows(shows);
+
+    // Shows: tap cycles through neutral -> included -> excluded
+    document.getElementById('constraint-shows').innerHTML = shows.map(show => {
+        const state = pickerConstraints.includeShowIds.includes(show.id) ? 'included'
+            : pickerConstraints.excludeShowIds.includes(show.id) ? 'excluded' : '';
+        return `
+            <button type="button" class="constraint-chip ${state}" data-show-id="${show.id}">
+                ${escapeHtml(show.title)}
+            </button>
+        `;
+    }).join('');
+
+    document.querySelectorAll('#constraint-shows .constraint-chip').forEach(chip => {
+        chip.addEventListener('click', () => {
+            const showId = chip.dataset.showId;
+            if (pickerConstraints.includeShowIds.includes(showId)) {
+                pickerConstraints.includeShowIds = pickerConstraints.includeShowIds.filter(id => id !== showId);
+                pickerConstraints.excludeShowIds.push(showId);
+            } else if (pickerConstraints.excludeShowIds.includes(showId)) {
+                pickerConstraints.excludeShowIds = pickerConstraints.excludeShowIds.filter(id => id !== showId);
+            } else {
+                pickerConstraints.includeShowIds.push(showId);
+            }
+            renderPickerConstraints();
+        });
+    });
+}
+
+/**
+ * Render the genre filter chips (shown on both the Randomize and Couch Potato tabs).
+ * Tapping a genre cycles through neutral -> included -> excluded.
+ * @param {Array} shows - Array of show objects
+ */
+function renderGenreFilters(shows) {
+    const filter = getGenreFilter();
+
+    // Only offer the genres our shows actually have, plus any still filtered on
+    const genres = [...new Set([
+        ...shows.flatMap(show => show.genres || []),
+        ...filter.include,
+        ...filter.exclude
+    ])].sort();
+
+    document.querySelectorAll('.genre-filter-row').forEach(row => {
+        row.classList.toggle('hidden', genres.length === 0);
+    });
+
+    document.querySelectorAll('.genre-filter-chips').forEach(container => {
+        container.innerHTML = genres.map(genre => {
+            const state = filter.include.includes(genre) ? 'included'
+                : filter.exclude.includes(genre) ? 'excluded' : '';
+            return `
+                <button type="button" class="constraint-chip ${state}" data-genre="${escapeHtml(genre)}">
+                    ${escapeHtml(genre)}
+                </button>
+            `;
+        }).join('');
+
+        container.querySelectorAll('.constraint-chip').forEach(chip => {
+            chip.addEventListener('click', () => {
+                const genre = chip.dataset.genre;
+                const { include, exclude } = getGenreFilter();
+                if (include.includes(genre)) {
+                    updateSettings({ genreFilter: {
+                        include: include.filter(g => g !== genre),
+                        exclude: [...exclude, genre]
+                    } });
+                } else if (exclude.includes(genre)) {
+                    updateSettings({ genreFilter: { include, exclude: exclude.filter(g => g !== genre) } });
+                } else {
+                    updateSettings({ genreFilter: { include: [...include, genre], exclude } });
+                }
+                renderGenreFilters(getShows());
+            });
+        });
+    });
+}
+
+// ============================================
+// CONTINUE WATCHING
+// ============================================
+
+/**
+ * Start continue-watching mode with one show and serve its next episode
+ * @param {string} showId - The show's ID
+ */
+function startContinueWatching(showId) {
+    continueShowIds = [showId];
+    renderContinueRows(getShows());
+    document.querySelector('.tab[data-tab="picker"]').click();
+    handleRandomize();
+}
+
+/**
+ * Render the continue-watching row (shown on both the Randomize and Couch Potato tabs):
+ * the chosen shows in watch order, and a select to add another
+ * @param {Array} shows - Array of show objects
+ */
+function renderContinueRows(shows) {
+    const chosen = continueShowIds.map(id => shows.find(show => show.id === id)).filter(Boolean);
+    const addable = shows.filter(show =>
+        !continueShowIds.includes(show.id) && getNextUnwatchedEpisode(show)
+    );
+
+    document.querySelectorAll('.continue-row').forEach(row => {
+        row.classList.toggle('active', chosen.length > 0);
+        row.querySelector('.continue-chips').innerHTML = chosen.map(show => `
+            <button type="button" class="constraint-chip included" data-show-id="${show.id}" title="Stop continuing">
+                ${escapeHtml(show.title)} &times;
+            </button>
+        `).join('');
+        row.querySelector('.continue-add-select').innerHTML = `
+            <option value="">${chosen.length > 0 ? '+ Then continue…' : 'Continue a show…'}</option>
+            ${addable.map(show => `<option value="${show.id}">${escapeHtml(show.title)}</option>`).join('')}
+        `;
+        row.querySelector('.continue-clear-btn').classList.toggle('hidden', chosen.length === 0);
+
+        row.querySelectorAll('.constraint-chip').forEach(chip => {
+            chip.addEventListener('click', () => {
+                continueShowIds = continueShowIds.filter(id => id !== chip.dataset.showId);
+                renderContinueRows(getShows());
+            });
+        });
+    });
+
+    document.getElementById('randomize-btn').textContent = chosen.length > 0 ? 'Next Episode' : 'Randomize!';
+}
+
+/**
+ * Wire up the continue-watching rows' select and "Back to random" buttons
+ */
+function initializeContinueRows() {
+    document.querySelectorAll('.continue-row').forEach(row => {
+        row.querySelector('.continue-add-select').addEventListener('change', (e) => {
+            if (!e.target.value) return;
+            continueShowIds.push(e.target.value);
+            renderContinueRows(getShows());
+        });
+        row.querySelector('.continue-clear-btn').addEventListener('click', () => {
+            continueShowIds = [];
+            renderContinueRows(getShows());
+        });
+    });
+}
+
+/**
+ * Get the saved genre filter
+ * @returns {Object} { include: Array, exclude: Array }
+ */
+function getGenreFilter() {
+    const filter = getSettings().genreFilter || {};
+    return {
+        include: filter.include || [],
+        exclude: filter.exclude || []
+    };
+}
+
+/**
+ * Turn the Randomize tab constraint state into picker constraints
+ * @returns {Object} Constraints for pickRandomEpisode (see PICK_CONSTRAINTS)
+ */
+function getActiveConstraints() {
+    const constraints = {
+        maxRuntime: pickerConstraints.maxRuntime,
+        ...getSavedPickConstraints(),
+        includeShowIds: pickerConstraints.includeShowIds,
+        excludeShowIds: pickerConstraints.excludeShowIds
+    };
+
+    if (pickerConstraints.onlyMyServices) {
+        const settings = getSettings();
+        constraints.services = settings.streamingServices || [];
+        constraints.providerCategories = settings.providerCategories ?? DEFAULT_SETTINGS.providerCategories;
+    }
+
+    return constraints;
+}
+
+/**
+ * Turn the saved genre filter and excluded statuses into picker constraints
+ * @returns {Object} { genres, excludeGenres, excludeStatuses } (see PICK_CONSTRAINTS)
+ */
+function getSavedPickConstraints() {
+    const { include, exclude } = getGenreFilter();
+    const excludeStatuses = getSettings().excludedStatuses ?? DEFAULT_SETTINGS.excludedStatuses;
+    return { genres: include, excludeGenres: exclude, excludeStatuses };
+}
+
+/**
+ * Wire up the picker strategy and rewatch mode controls
+ * (shown on both the Randomize and Couch Potato tabs)
+ */
+function initializePickerControls() {
+    document.querySelectorAll('.pick-strategy-select').forEach(select => {
+        select.addEventListener('change', () => {
+            updateSettings({ pickStrategy: select.value });
+            loadPickerSettings();
+        });
+    });
+
+    document.querySelectorAll('.rewatch-mode-select').forEach(select => {
+        select.addEventListener('change', () => {
+            updateSettings({ rewatchMode: select.value });
+            loadPickerSettings();
+        });
+    });
+
+    document.querySelectorAll('.rewatch-cooldown-input').forEach(input => {
+        input.addEventListener('change', () => {
+            const value = parseInt(input.value);
+            if (!isNaN(value) && value >= 0) {
+                updateSettings({ rewatchCooldownDays: value });
+            }
+            loadPickerSettings();
+        });
+    });
+}
+
+function loadPickerSettings() {
+    const { strategy, rewatchMode, cooldownDays } = getPickerOptions();
+
+    document.querySelectorAll('.pick-strategy-select').forEach(select => {
+        select.value = strategy;
+    });
+    document.querySelectorAll('.rewatch-mode-select').forEach(select => {
+        select.value = rewatchMode;
+    });
+    document.querySelectorAll('.rewatch-cooldown-input').forEach(input => {
+        input.value = cooldownDays;
+    });
+
+    // The cooldown only applies to random rewatches
+    document.querySelectorAll('.rewatch-cooldown').forEach(el => {
+        el.classList.toggle('hidden', rewatchMode !== REWATCH_MODES.RANDOM);
+    });
+}
+
+/**
+ * Build picker options from the user's settings
+ * @returns {Object} Options for pickRandomEpisode / generateCouchPotatoQueue
+ */
+function getPickerOptions() {
+    const settings = getSettings();
+    return {
+        strategy: settings.pickStrategy || PICK_STRATEGIES.PRIORITY,
+        rewatchMode: settings.rewatchMode || REWATCH_MODES.OFF,
+        cooldownDays: settings.rewatchCooldownDays ?? DEFAULT_SETTINGS.rewatchCooldownDays,
+        history: getHistory(),
+        franchises: getFranchises(),
+        continueShowIds
+    };
 }
 
 function handleRandomize() {
     const shows = getShows();
-    const result = pickRandomEpisode(shows);
+    // Continued shows were chosen by hand, so the Randomize constraints don't apply to them
+    const options = {
+        ...getPickerOptions(),
+        constraints: continueShowIds.length > 0 ? null : getActiveConstraints()
+    };
+    const result = pickRandomEpisode(shows, options);
 
     const pickedContainer = document.getElementById('picked-episode');
     const noEpisodesMsg = document.getElementById('no-episodes-msg');
 
     if (!result) {
+        // Say which constraint ruled everything out, if one did
+        const explanation = explainEmptyPick(shows, options);
+        if (explanation) {
+            noEpisodesMsg.textContent = explanation.message;
+        } else if (options.rewatchMode === REWATCH_MODES.OFF) {
+            noEpisodesMsg.textContent = 'No unwatched episodes available!';
+        } else {
+            noEpisodesMsg.textContent = 'No episodes available to watch or rewatch!';
+        }
+
         pickedContainer.classList.add('hidden');
         noEpisodesMsg.classList.remove('hidden');
         return;
@@ -139,11 +562,12 @@ function handleRandomize() {
     noEpisodesMsg.classList.add('hidden');
     pickedContainer.classList.remove('hidden');
 
-    const { show, episode } = result;
+    const { show, episode, isRewatch } = result;
     const whereToWatch = getWhereToWatch(show);
 
     pickedContainer.innerHTML = `
         <div class="picked-card">
+            ${isRewatch ? '<span class="rewatch-tag">Rewatch</span>' : ''}
             <h2 class="picked-show">${escapeHtml(show.title)}</h2>
             <div class="picked-details">
                 <span class="episode-code">${formatEpisodeCode(episode.season, episode.episodeNumber)}</span>
@@ -154,16 +578,24 @@ function handleRandomize() {
                 <div class="where-to-watch">
                     <span class="watch-label">Watch on:</span>
                     ${whereToWatch.map(service => service.link
-                        ? `<a href="${service.link}" target="_blank" rel="noopener" class="watch-service watch-service-link" style="--service-color: ${service.color}">${service.name}</a>`
-                        : `<span class="watch-service" style="--service-color: ${service.color}">${service.name}</span>`
+                        ? `<a href="${service.link}" target="_blank" rel="noopener" class="watch-service watch-service-link" style="--service-color: ${service.color}">${formatServiceBadgeLabel(service)}</a>`
+                        : `<span class="watch-service" style="--service-color: ${service.color}">${formatServiceBadgeLabel(service)}</span>`
                     ).join('')}
                 </div>
             ` : ''}
             <button class="btn btn-primary mark-watched-btn"
                     data-show-id="${show.id}"
-                    data-episode-id="${episode.id}">
-                Mark as Watched
+                    data-episode-id="${episode.id}"
+                    data-rewatch="${isRewatch}">
+                ${isRewatch ? 'Mark as Rewatched' : 'Mark as Watched'}
             </button>
+            ${continueShowIds.length === 0 ? `
+                <div class="picked-actions">
+                    <button class="btn btn-secondary btn-small" onclick="handleSnoozePickedShow('${show.id}', SNOOZE_OPTIONS.WEEK)">Snooze a week</button>
+                    <button class="btn btn-secondary btn-small" onclick="handleSnoozePickedShow('${show.id}', SNOOZE_OPTIONS.MONTH)">Snooze a month</button>
+                    <button class="btn btn-secondary btn-small" onclick="handleNeverPickShow('${show.id}')">Never pick</button>
+                </div>
+            ` : ''}
         </div>
     `;
 
@@ -171,7 +603,11 @@ function handleRandomize() {
     pickedContainer.querySelector('.mark-watched-btn').addEventListener('click', (e) => {
         const showId = e.target.dataset.showId;
         const episodeId = e.target.dataset.episodeId;
-        setEpisodeWatched(showId, episodeId, true);
+        if (e.target.dataset.rewatch === 'true') {
+            recordRewatch(showId, episodeId);
+        } else {
+            setEpisodeWatched(showId, episodeId, true);
+        }
         renderShowsList();
         renderHistory();
 
@@ -180,15 +616,38 @@ function handleRandomize() {
     });
 }
 
+/**
+ * Snooze the show on the picked card and pick again
+ * @param {string} showId - The show's ID
+ * @param {number} days - Snooze length in days (see SNOOZE_OPTIONS)
+ */
+function handleSnoozePickedShow(showId, days) {
+    snoozeShow(showId, getSnoozeEnd(days));
+    renderShowsList();
+    handleRandomize();
+}
+
+/**
+ * Stop the picker from choosing the show on the picked card, and pick again
+ * @param {string} showId - The show's ID
+ */
+function handleNeverPickShow(showId) {
+    setNeverAutoPick(showId, true);
+    renderShowsList();
+    handleRandomize();
+}
+
 /**
  * Get where to watch a show based on user's streaming services
- * Returns all matching services the user has selected, with links
+ * Returns all matching services the user has selected, with links and the way they
+ * offer the show (only services offering it in an enabled provider category)
  * @param {Object} show - Show object
- * @returns {Array} Array of streaming service objects with links (empty if no matches)
+ * @returns {Array} Array of streaming service objects with link and category (empty if no matches)
  */
 function getWhereToWatch(show) {
     const settings = getSettings();
     const userServices = settings.streamingServices || [];
+    const categories = settings.providerCategories ?? DEFAULT_SETTINGS.providerCategories;
     const allServices = getAllStreamingServices();
     const streamingLinks = show.streamingLinks || {};
 
@@ -199,12 +658,13 @@ function getWhereToWatch(show) {
     // Return all services the user has selected, with their links
     const matchingServices = [];
     for (const serviceId of show.streamingServices) {
-        if (userServices.includes(serviceId)) {
+        if (userServices.includes(serviceId) && isServiceOffered(show, serviceId, categories)) {
             const service = allServices.find(s => s.id === serviceId);
             if (service) {
                 matchingServices.push({
                     ...service,
-                    link: streamingLinks[serviceId] || null
+                    link: streamingLinks[serviceId] || null,
+                    category: getServiceCategory(show, serviceId, categories)
                 });
             }
         }
@@ -213,6 +673,20 @@ function getWhereToWatch(show) {
     return matchingServices;
 }
 
+/**
+ * Render a service badge's text: its name, plus how it offers the show unless that's
+ * a plain subscription (e.g. "Prime Video · Rent")
+ * @param {Object} service - Service from getWhereToWatch
+ * @returns {string} HTML
+ */
+function formatServiceBadgeLabel(service) {
+    const name = escapeHtml(service.name);
+    if (!service.category || service.category === PROVIDER_CATEGORIES.SUBSCRIPTION) {
+        return name;
+    }
+    return `${name} <span class="service-category">· ${PROVIDER_CATEGORY_LABELS[service.category]}</span>`;
+}
+
 // ============================================
 // COUCH POTATO MODE
 // ============================================
@@ -224,7 +698,8 @@ function initializeCouchPotato() {
             document.querySelectorAll('.duration-btn').forEach(b => b.classList.remove('active'));
             btn.classList.add('active');
             document.getElementById('custom-minutes').value = '';
-            updateSettings({ couchPotatoDuration: parseInt(btn.dataset.minutes) });
+            document.getElementById('finish-by-time').value = '';
+            updateSettings({ couchPotatoDuration: parseInt(btn.dataset.minutes), couchPotatoFinishBy: null });
         });
     });
 
@@ -233,8 +708,47 @@ function initializeCouchPotato() {
         const value = parseInt(e.target.value);
         if (value && value >= 30) {
             document.querySelectorAll('.duration-btn').forEach(b => b.classList.remove('active'));
-            updateSettings({ couchPotatoDuration: value });
+            document.getElementById('finish-by-time').value = '';
+            updateSettings({ couchPotatoDuration: value, couchPotatoFinishBy: null });
+        }
+    });
+
+    // Finish-by time (replaces the duration)
+    document.getElementById('finish-by-time').addEventListener('change', (e) => {
+        updateSettings({ couchPotatoFinishBy: e.target.value || null });
+        loadCouchPotatoSettings();
+    });
+
+    document.getElementById('queue-break-minutes').addEventListener('change', (e) => {
+        const value = parseInt(e.target.value);
+        if (!isNaN(value) && value >= 0) {
+            updateSettings({ queueBreakMinutes: value });
+        }
+        loadCouchPotatoSettings();
+    });
+
+    // Keep the projected end time current while watching
+    setInterval(updateProjectedEnd, 30 * 1000);
+
+    // Queue fitting
+    document.getElementById('queue-fit-mode').addEventListener('change', (e) => {
+        updateSettings({ queueFitMode: e.target.value });
+    });
+
+    document.getElementById('queue-fit-tolerance').addEventListener('change', (e) => {
+        const value = parseInt(e.target.value);
+        if (!isNaN(value) && value >= 0) {
+            updateSettings({ queueFitTolerance: value });
         }
+        loadCouchPotatoSettings();
+    });
+
+    // Queue composition rules
+    document.querySelectorAll('.queue-rule').forEach(input => {
+        input.addEventListener('change', () => {
+            updateSettings({ queueComposition: readQueueComposition() });
+            loadCouchPotatoSettings();
+        });
     });
 
     // Build queue button
@@ -249,9 +763,25 @@ function loadCouchPotatoSettings() {
     const settings = getSettings();
     const duration = settings.couchPotatoDuration || 360;
 
-    // Set active button or custom value
+    document.getElementById('queue-fit-mode').value = settings.queueFitMode || QUEUE_FIT_MODES.CLOSEST;
+    document.getElementById('queue-fit-tolerance').value =
+        settings.queueFitTolerance ?? DEFAULT_SETTINGS.queueFitTolerance;
+    document.getElementById('queue-break-minutes').value = settings.queueBreakMinutes || 0;
+
+    const rules = { ...DEFAULT_SETTINGS.queueComposition, ...settings.queueComposition };
+    document.getElementById('rule-max-per-show').value = rules.maxPerShow || '';
+    document.getElementById('rule-block-size').value = rules.blockSize;
+    document.getElementById('rule-min-distinct').value = rules.minDistinctShows || '';
+    document.getElementById('rule-no-back-to-back').checked = rules.noBackToBack;
+    document.getElementById('rule-interleave-long').checked = rules.interleaveLong;
+
+    // Set active button, custom value or finish-by time
     const matchingBtn = document.querySelector(`.duration-btn[data-minutes="${duration}"]`);
-    if (matchingBtn) {
+    document.getElementById('finish-by-time').value = settings.couchPotatoFinishBy || '';
+    if (settings.couchPotatoFinishBy) {
+        document.querySelectorAll('.duration-btn').forEach(b => b.classList.remove('active'));
+        document.getElementById('custom-minutes').value = '';
+    } else if (matchingBtn) {
         document.querySelectorAll('.duration-btn').forEach(b => b.classList.remove('active'));
         matchingBtn.classList.add('active');
     } else {
@@ -260,17 +790,76 @@ function loadCouchPotatoSettings() {
     }
 }
 
+/**
+ * Read the queue composition rules from the Queue Rules inputs
+ * @returns {Object} Composition rules (see pickComposedEpisode)
+ */
+function readQueueComposition() {
+    const readCount = (id, min) => {
+        const value = parseInt(document.getElementById(id).value);
+        return !isNaN(value) && value >= min ? value : min;
+    };
+
+    return {
+        maxPerShow: readCount('rule-max-per-show', 0),
+        blockSize: readCount('rule-block-size', 1),
+        minDistinctShows: readCount('rule-min-distinct', 0),
+        noBackToBack: document.getElementById('rule-no-back-to-back').checked,
+        interleaveLong: document.getElementById('rule-interleave-long').checked
+    };
+}
+
+/**
+ * Build Couch Potato queue options from the user's settings
+ * @returns {Object} Options for generateCouchPotatoQueue
+ */
+function getQueueOptions() {
+    const settings = getSettings();
+    return {
+        ...getPickerOptions(),
+        constraints: getSavedPickConstraints(),
+        fitMode: settings.queueFitMode || QUEUE_FIT_MODES.CLOSEST,
+        tolerance: settings.queueFitTolerance ?? DEFAULT_SETTINGS.queueFitTolerance,
+        composition: { ...DEFAULT_SETTINGS.queueComposition, ...settings.queueComposition },
+        breakMinutes: settings.queueBreakMinutes || 0
+    };
+}
+
 function handleBuildQueue() {
     const settings = getSettings();
     const shows = getShows();
+    const options = { ...getQueueOptions(), pinned: getPinnedQueueItems(shows) };
 
-    if (!hasUnwatchedEpisodes(shows)) {
-        alert('No unwatched episodes available!');
+    if (options.pinned.length === 0 && !pickRandomEpisode(shows, options)) {
+        const explanation = explainEmptyPick(shows, options);
+        alert(explanation ? explanation.message
+            : options.rewatchMode === REWATCH_MODES.OFF ? 'No unwatched episodes available!'
+            : 'No episodes available to watch or rewatch!');
         return;
     }
 
-    currentQueue = generateCouchPotatoQueue(settings.couchPotatoDuration);
+    // "Finish by" counts the minutes from now until that time
+    let minutesGoal = settings.couchPotatoDuration;
+    let finishBy = null;
+    if (settings.couchPotatoFinishBy) {
+        const time = settings.couchPotatoFinishBy;
+        // Rolling a time that just passed over to tomorrow would plan most of a day
+        if (hasClockTimeJustPassed(time) &&
+            !confirm(`${time} has already passed. Plan a queue until ${time} tomorrow?`)) {
+            return;
+        }
+        finishBy = getNextClockTime(time);
+        minutesGoal = Math.floor((finishBy - Date.now()) / (60 * 1000));
+    }
+
+    currentQueue = generateCouchPotatoQueue(minutesGoal, shows, options);
+    currentQueue.finishBy = finishBy ? finishBy.toISOString() : null;
     currentQueueIndex = 0;
+    currentSessionStartedAt = null;
+    currentItemStartedAt = null;
+    isWatchingQueue = false;
+    saveCurrentSession();
+    document.getElementById('session-notice').classList.add('hidden');
 
     renderQueue();
 
@@ -279,6 +868,24 @@ function handleBuildQueue() {
     document.getElementById('now-watching').classList.add('hidden');
 }
 
+/**
+ * Get the pinned items of the current queue that can still be played
+ * @param {Array} shows - Array of show objects
+ * @returns {Array} Pinned items as { index, item } (see generateCouchPotatoQueue)
+ */
+function getPinnedQueueItems(shows) {
+    if (!currentQueue) return [];
+
+    return currentQueue.episodes
+        .map((item, index) => ({ index, item }))
+        .filter(({ item }) => {
+            const show = shows.find(s => s.id === item.showId);
+            const episode = show?.episodes.find(ep => ep.id === item.episodeId);
+            // Skip episodes that were deleted or got watched in the meantime
+            return item.pinned && !item.watched && episode && (item.isRewatch || !episode.watched);
+        });
+}
+
 function renderQueue() {
     if (!currentQueue || currentQueue.episodes.length === 0) {
         document.getElementById('queue-list').innerHTML = '<p>No episodes in queue.</p>';
@@ -287,40 +894,183 @@ function renderQueue() {
 
     const queueList = document.getElementById('queue-list');
     queueList.innerHTML = currentQueue.episodes.map((ep, index) => `
-        <div class="queue-item ${ep.watched ? 'watched' : ''} ${index === currentQueueIndex ? 'current' : ''}">
+        <div class="queue-item ${ep.watched ? 'watched' : ''} ${ep.skipped ? 'skipped' : ''} ${index === currentQueueIndex ? 'current' : ''} ${ep.pinned ? 'pinned' : ''}"
+             draggable="true" data-index="${index}">
             <div class="queue-item-info">
+                <span class="queue-handle" title="Drag to reorder">⋮⋮</span>
                 <span class="queue-number">${index + 1}.</span>
                 <div class="queue-details">
-                    <span class="queue-show">${escapeHtml(ep.showTitle)}</span>
+                    <span class="queue-show">
+                        ${escapeHtml(ep.showTitle)}
+                        ${ep.isRewatch ? '<span class="rewatch-tag">Rewatch</span>' : ''}
+                    </span>
                     <span class="queue-episode">
                         ${formatEpisodeCode(ep.season, ep.episodeNumber)}
                         - ${escapeHtml(ep.episodeTitle)}
                     </span>
                 </div>
             </div>
-            <span class="queue-runtime">${formatRuntime(ep.runtime)}</span>
+            <div class="queue-item-actions">
+                <span class="queue-runtime">${formatRuntime(ep.runtime)}</span>
+                <button type="button" class="queue-action ${ep.pinned ? 'active' : ''}"
+                        title="${ep.pinned ? 'Unpin' : 'Pin (kept on rebuild)'}"
+                        onclick="toggleQueuePin(${index})">📌</button>
+                ${ep.pinned || ep.watched || ep.skipped ? '' : `
+                    <button type="button" class="queue-action" title="Replace with another show"
+                            onclick="handleRerollQueueItem(${index})">🎲</button>
+                    <button type="button" class="queue-action" title="Remove"
+                            onclick="handleRemoveQueueItem(${index})">&times;</button>
+                `}
+            </div>
         </div>
     `).join('');
 
-    // Update total runtime
-    document.getElementById('total-runtime').textContent =
-        `Total: ${formatRuntime(currentQueue.totalRuntime)} (Target: ${formatRuntime(currentQueue.targetRuntime)})`;
+    // Drag to reorder
+    enableDragReorder(queueList.querySelectorAll('.queue-item'), (from, to) => {
+        setQueueEpisodes(moveQueueItem(currentQueue.episodes, from, to));
+    });
+
+    // Update total runtime and how close it came to the target
+    const difference = currentQueue.difference ?? currentQueue.totalRuntime - currentQueue.targetRuntime;
+    const fit = difference === 0 ? 'right on target'
+        : `${formatRuntime(Math.abs(difference))} ${difference > 0 ? 'over' : 'under'}`;
+    const total = currentQueue.breakMinutes
+        ? `${formatRuntime(currentQueue.totalTime)} with breaks`
+        : formatRuntime(currentQueue.totalRuntime);
+    const target = currentQueue.finishBy
+        ? `Finish by ${formatClockTime(new Date(currentQueue.finishBy))}`
+        : `Target: ${formatRuntime(currentQueue.targetRuntime)}`;
+    const totalEl = document.getElementById('total-runtime');
+    totalEl.textContent = `Total: ${total} (${target}, ${fit})`;
+    totalEl.classList.toggle('off-target', Math.abs(difference) > (currentQueue.tolerance ?? Infinity));
+}
+
+/**
+ * Replace the queue's episodes after an edit and refresh its totals
+ * @param {Array} episodes - New queue items
+ */
+function setQueueEpisodes(episodes) {
+    currentQueue.episodes = episodes;
+    currentQueue.totalRuntime = episodes.reduce((sum, ep) => sum + ep.runtime, 0);
+    currentQueue.totalTime = getQueueDuration(episodes, currentQueue.breakMinutes || 0);
+    currentQueue.difference = currentQueue.totalTime - currentQueue.targetRuntime;
+    saveCurrentSession();
+    renderQueue();
+}
+
+/**
+ * Pin or unpin a queue item. Pins keep a show's episodes in order: pinning an
+ * episode also pins the show's earlier queued episodes, unpinning also unpins its later ones.
+ * @param {number} index - Queue index
+ */
+function toggleQueuePin(index) {
+    const target = currentQueue.episodes[index];
+    const pinned = !target.pinned;
+
+    setQueueEpisodes(currentQueue.episodes.map((ep, i) => {
+        const sameShow = !target.isRewatch && !ep.isRewatch && ep.showId === target.showId;
+        const affected = i === index || (sameShow && (pinned ? i < index : i > index));
+        return affected ? { ...ep, pinned } : ep;
+    }));
+}
+
+function handleRemoveQueueItem(index) {
+    // Watched and skipped items stay, so the position in the queue keeps pointing at the right episode
+    const item = currentQueue.episodes[index];
+    if (!item || item.watched || item.skipped) return;
+    setQueueEpisodes(removeQueueItem(currentQueue.episodes, index));
+}
+
+function handleRerollQueueItem(index) {
+    const item = currentQueue.episodes[index];
+    if (!item || item.watched || item.skipped) return;
+    const episodes = rerollQueueItem(currentQueue.episodes, index, getShows(), getQueueOptions());
+    if (!episodes) {
+        alert('No other show has an episode to offer.');
+        return;
+    }
+    setQueueEpisodes(episodes);
 }
 
 function handleStartWatching() {
     if (!currentQueue || currentQueue.episodes.length === 0) return;
 
+    currentSessionStartedAt = currentSessionStartedAt || new Date().toISOString();
+    currentItemStartedAt = currentItemStartedAt || new Date().toISOString();
+    isWatchingQueue = true;
+    saveCurrentSession();
+
     document.getElementById('binge-queue').classList.add('hidden');
     renderNowWatching();
 }
 
+/**
+ * Save the current queue and position, or forget the session once the queue is done
+ */
+function saveCurrentSession() {
+    if (!currentQueue || currentQueueIndex >= currentQueue.episodes.length) {
+        clearCouchPotatoSession();
+        return;
+    }
+
+    saveCouchPotatoSession({
+        queue: currentQueue,
+        index: currentQueueIndex,
+        startedAt: currentSessionStartedAt,
+        itemStartedAt: currentItemStartedAt,
+        watching: isWatchingQueue
+    });
+}
+
+/**
+ * Pick up a saved Couch Potato session after a reload, reconciled with any
+ * changes made to the shows since it was saved
+ */
+function restoreCouchPotatoSession() {
+    const session = getCouchPotatoSession();
+    if (!session) return;
+
+    const { episodes, index, removed } = reconcileQueue(session.queue.episodes, session.index, getShows());
+    currentQueue = session.queue;
+    currentQueueIndex = index;
+    currentSessionStartedAt = session.startedAt;
+    currentItemStartedAt = session.itemStartedAt || null;
+    isWatchingQueue = session.watching;
+    setQueueEpisodes(episodes);
+
+    if (currentQueueIndex >= currentQueue.episodes.length) {
+        // Everything left got watched elsewhere
+        currentQueue = null;
+        return;
+    }
+
+    document.getElementById('binge-queue').classList.toggle('hidden', isWatchingQueue);
+    document.getElementById('rebuild-queue-btn').classList.remove('hidden');
+    if (isWatchingQueue) {
+        document.querySelector('.tab[data-tab="couch-potato"]').click();
+        renderNowWatching();
+    }
+
+    if (removed > 0) {
+        const notice = document.getElementById('session-notice');
+        notice.textContent = `Picked up where you left off. ${removed} episode${removed === 1 ? ' was' : 's were'} already watched or deleted and left the queue.`;
+        notice.classList.remove('hidden');
+    }
+}
+
 function renderNowWatching() {
     if (!currentQueue || currentQueueIndex >= currentQueue.episodes.length) {
         // Queue complete
+        const skipped = currentQueue ? getReofferableSkips() : [];
         document.getElementById('now-watching').innerHTML = `
             <div class="queue-complete">
                 <h2>Queue Complete!</h2>
                 <p>You've watched all episodes in your queue.</p>
+                ${skipped.length > 0 ? `
+                    <button class="btn btn-secondary" onclick="handleReofferSkipped()">
+                        Watch ${skipped.length} Skipped Episode${skipped.length === 1 ? '' : 's'}
+                    </button>
+                ` : ''}
                 <button class="btn btn-primary" onclick="handleBuildQueue()">Build New Queue</button>
             </div>
         `;
@@ -331,6 +1081,7 @@ function renderNowWatching() {
     const episode = currentQueue.episodes[currentQueueIndex];
     const remaining = currentQueue.episodes.slice(currentQueueIndex + 1);
     const remainingRuntime = remaining.reduce((sum, ep) => sum + ep.runtime, 0);
+    const skippedCount = currentQueue.episodes.filter(ep => ep.skipped && !ep.reoffered).length;
 
     // Get streaming info for current episode's show
     const show = getShowById(episode.showId);
@@ -338,7 +1089,7 @@ function renderNowWatching() {
 
     document.getElementById('now-watching').innerHTML = `
         <div class="now-watching-card">
-            <span class="now-label">Now Watching</span>
+            <span class="now-label">${episode.isRewatch ? 'Now Rewatching' : 'Now Watching'}</span>
             <h2>${escapeHtml(episode.showTitle)}</h2>
             <div class="now-details">
                 <span class="episode-code">${formatEpisodeCode(episode.season, episode.episodeNumber)}</span>
@@ -349,8 +1100,8 @@ function renderNowWatching() {
                 <div class="where-to-watch">
                     <span class="watch-label">Watch on:</span>
                     ${whereToWatch.map(service => service.link
-                        ? `<a href="${service.link}" target="_blank" rel="noopener" class="watch-service watch-service-link" style="--service-color: ${service.color}">${service.name}</a>`
-                        : `<span class="watch-service" style="--service-color: ${service.color}">${service.name}</span>`
+                        ? `<a href="${service.link}" target="_blank" rel="noopener" class="watch-service watch-service-link" style="--service-color: ${service.color}">${formatServiceBadgeLabel(service)}</a>`
+                        : `<span class="watch-service" style="--service-color: ${service.color}">${formatServiceBadgeLabel(service)}</span>`
                     ).join('')}
                 </div>
             ` : ''}
@@ -362,9 +1113,18 @@ function renderNowWatching() {
                     Skip
                 </button>
             </div>
+            <div id="skip-reasons" class="skip-reasons hidden">
+                <span class="watch-label">Why skip?</span>
+                ${Object.entries(SKIP_REASONS).map(([key, label]) => `
+                    <button class="btn btn-secondary btn-small" onclick="handleSkipQueueEpisode('${key}')">${label}</button>
+                `).join('')}
+                <button class="btn btn-secondary btn-small" onclick="handleSkipQueueEpisode(null)">Just skip</button>
+            </div>
             <div class="queue-remaining">
                 <span>${remaining.length} episodes remaining (${formatRuntime(remainingRuntime)})</span>
+                ${skippedCount > 0 ? `<span> · ${skippedCount} skipped</span>` : ''}
             </div>
+            <div id="projected-end" class="projected-end"></div>
         </div>
         <div class="up-next">
             <h3>Up Next</h3>
@@ -386,24 +1146,109 @@ function renderNowWatching() {
     });
 
     document.getElementById('skip-episode-btn').addEventListener('click', () => {
-        currentQueueIndex++;
-        renderNowWatching();
+        document.getElementById('skip-reasons').classList.toggle('hidden');
+    });
+
+    updateProjectedEnd();
+}
+
+/**
+ * Show when the queue will end, and warn if that's past the finish-by time
+ */
+function updateProjectedEnd() {
+    const el = document.getElementById('projected-end');
+    if (!el || !currentQueue || currentQueueIndex >= currentQueue.episodes.length) return;
+
+    const current = currentQueue.episodes[currentQueueIndex];
+    const rest = currentQueue.episodes.slice(currentQueueIndex + 1);
+    const breakMinutes = currentQueue.breakMinutes || 0;
+
+    // The current episode ends a runtime after it started (or about now, if it's running long)
+    const startedAt = currentItemStartedAt ? new Date(currentItemStartedAt).getTime() : Date.now();
+    const currentEnd = Math.max(Date.now(), startedAt + current.runtime * 60 * 1000);
+    const restMinutes = rest.length > 0 ? breakMinutes + getQueueDuration(rest, breakMinutes) : 0;
+    const end = new Date(currentEnd + restMinutes * 60 * 1000);
+
+    let html = `Projected end: <strong>${formatClockTime(end)}</strong>`;
+    const finishBy = currentQueue.finishBy ? new Date(currentQueue.finishBy) : null;
+    const minutesLate = finishBy ? Math.ceil((end - finishBy) / (60 * 1000)) : 0;
+    if (minutesLate > 0) {
+        html += ` · ${formatRuntime(minutesLate)} past your ${formatClockTime(finishBy)} cutoff`;
+    }
+
+    el.innerHTML = html;
+    el.classList.toggle('late', minutesLate > 0);
+}
+
+/**
+ * Skip the current queue episode, recording the skip on its show
+ * @param {string|null} reason - One of the SKIP_REASONS keys, or null
+ */
+function handleSkipQueueEpisode(reason) {
+    if (!currentQueue || currentQueueIndex >= currentQueue.episodes.length) return;
+
+    const episode = currentQueue.episodes[currentQueueIndex];
+    recordSkip(episode.showId, episode.episodeId, reason);
+    episode.skipped = true;
+    currentQueueIndex++;
+    currentItemStartedAt = new Date().toISOString();
+    saveCurrentSession();
+    renderNowWatching();
+}
+
+/**
+ * Get the skipped queue items that can still be watched
+ * @returns {Array} Queue items
+ */
+function getReofferableSkips() {
+    const shows = getShows();
+    return currentQueue.episodes.filter(item => {
+        if (!item.skipped || item.reoffered) return false;
+        const show = shows.find(s => s.id === item.showId);
+        const episode = show?.episodes.find(ep => ep.id === item.episodeId);
+        return episode && (item.isRewatch || !episode.watched);
     });
 }
 
+/**
+ * Put the skipped episodes back at the end of the queue and keep watching.
+ * Episodes still to play keep each show's watch order (see keepQueueEpisodeOrder).
+ */
+function handleReofferSkipped() {
+    const skipped = getReofferableSkips();
+    if (skipped.length === 0) return;
+
+    const episodes = currentQueue.episodes.map(ep => skipped.includes(ep) ? { ...ep, reoffered: true } : ep);
+    setQueueEpisodes([
+        ...episodes.slice(0, currentQueueIndex),
+        ...keepQueueEpisodeOrder([
+            ...episodes.slice(currentQueueIndex),
+            ...skipped.map(ep => ({ ...ep, skipped: false }))
+        ])
+    ]);
+    currentItemStartedAt = new Date().toISOString();
+    renderNowWatching();
+}
+
 function markCurrentQueueEpisodeWatched() {
     if (!currentQueue || currentQueueIndex >= currentQueue.episodes.length) return;
 
     const episode = currentQueue.episodes[currentQueueIndex];
 
     // Mark in actual storage
-    setEpisodeWatched(episode.showId, episode.episodeId, true);
+    if (episode.isRewatch) {
+        recordRewatch(episode.showId, episode.episodeId);
+    } else {
+        setEpisodeWatched(episode.showId, episode.episodeId, true);
+    }
 
     // Mark in queue
     episode.watched = true;
 
-    // Advance to next
+    // Advance to next (after the break, if there is one)
     currentQueueIndex++;
+    currentItemStartedAt = new Date(Date.now() + (currentQueue.breakMinutes || 0) * 60 * 1000).toISOString();
+    saveCurrentSession();
 
     // Update UI
     renderShowsList();
@@ -488,8 +1333,81 @@ function initializeSettings() {
         }
     });
 
+    // Franchises
+    document.getElementById('add-franchise-btn').addEventListener('click', handleAddFranchise);
+    document.getElementById('franchise-name').addEventListener('keypress', (e) => {
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            handleAddFranchise();
+        }
+    });
+
+    // Streaming region
+    document.getElementById('streaming-region').addEventListener('change', (e) => {
+        updateSettings({ streamingRegion: e.target.value });
+        const region = STREAMING_REGIONS.find(r => r.code === e.target.value);
+        if (getShows().length > 0 && confirm(`Re-check where your shows stream in ${region.name} now?`)) {
+            handleRecheckAvailability();
+        }
+    });
+    document.getElementById('recheck-availability-btn').addEventListener('click', handleRecheckAvailability);
+
     // Initial render of custom services
     renderCustomServices();
+    renderPickedStatuses();
+    renderStreamingAvailability();
+    renderFranchises();
+}
+
+/**
+ * Render the streaming region select and the provider category toggles
+ */
+function renderStreamingAvailability() {
+    const settings = getSettings();
+    const region = settings.streamingRegion || DEFAULT_SETTINGS.streamingRegion;
+    const categories = settings.providerCategories ?? DEFAULT_SETTINGS.providerCategories;
+
+    document.getElementById('streaming-region').innerHTML = STREAMING_REGIONS.map(r => `
+        <option value="${r.code}" ${r.code === region ? 'selected' : ''}>${r.name}</option>
+    `).join('');
+
+    const container = document.getElementById('provider-categories');
+    container.innerHTML = Object.values(PROVIDER_CATEGORIES).map(category => `
+        <label class="picked-status">
+            <input type="checkbox" data-category="${category}" ${categories.includes(category) ? 'checked' : ''}>
+            <span>${PROVIDER_CATEGORY_LABELS[category]}</span>
+        </label>
+    `).join('');
+
+    container.querySelectorAll('input').forEach(input => {
+        input.addEventListener('change', () => {
+            const checked = [...container.querySelectorAll('input:checked')].map(el => el.dataset.category);
+            updateSettings({ providerCategories: checked });
+            renderShowsList();
+        });
+    });
+}
+
+/**
+ * Render the checkboxes for which show statuses the picker includes
+ */
+function renderPickedStatuses() {
+    const container = document.getElementById('picked-statuses');
+    const excluded = getSettings().excludedStatuses ?? DEFAULT_SETTINGS.excludedStatuses;
+
+    container.innerHTML = Object.entries(SHOW_STATUS_LABELS).map(([status, label]) => `
+        <label class="picked-status">
+            <input type="checkbox" data-status="${status}" ${excluded.includes(status) ? '' : 'checked'}>
+            <span>${label}</span>
+        </label>
+    `).join('');
+
+    container.querySelectorAll('input').forEach(input => {
+        input.addEventListener('change', () => {
+            const unchecked = [...container.querySelectorAll('input:not(:checked)')].map(el => el.dataset.status);
+            updateSettings({ excludedStatuses: unchecked });
+        });
+    });
 }
 
 function handleExportData() {
@@ -514,14 +1432,26 @@ function handleImportData(e) {
             );
 
             const result = importAllData(data, merge);
+            renderImportReport(result.rejected);
 
             if (result.success) {
-                showBackupStatus(result.message, 'success');
-                // Refresh all views
-                renderShowsList();
-                renderHistory();
-                renderStreamingServices();
-                loadCouchPotatoSettings();
+                let message = result.message;
+                const { duplicates } = result;
+                if (duplicates.length > 0) {
+                    const titles = duplicates.map(d => d.show.title).join(', ');
+                    const mergeProgress = confirm(
+                        `${duplicates.length} show${duplicates.length === 1 ? ' is' : 's are'} already in your list and ` +
+                        `${duplicates.length === 1 ? 'was' : 'were'} not added again: ${titles}\n\n` +
+                        'Merge their watched episodes into your shows?'
+                    );
+                    if (mergeProgress) {
+                        const merged = mergeDuplicateShows(duplicates);
+                        message += ` (watched episodes merged into ${merged} show${merged === 1 ? '' : 's'})`;
+                    }
+                }
+
+                showBackupStatus(message, 'success');
+                refreshAllViews();
             } else {
                 showBackupStatus(result.message, 'error');
             }
@@ -537,15 +1467,37 @@ function handleImportData(e) {
 }
 
 function showBackupStatus(message, type) {
-    const statusEl = document.getElementById('backup-status');
-    statusEl.textContent = message;
-    statusEl.className = `backup-status ${type}`;
-    statusEl.classList.remove('hidden');
+    showStatusMessage('backup-status', message, type);
+}
 
-    // Hide after 3 seconds
-    setTimeout(() => {
-        statusEl.classList.add('hidden');
-    }, 3000);
+/**
+ * Show which records were skipped during an import, and why
+ * @param {Array} rejected - Rejected records from importAllData
+ */
+function renderImportReport(rejected) {
+    const container = document.getElementById('import-report');
+
+    if (!rejected || rejected.length === 0) {
+        container.innerHTML = '';
+        container.classList.add('hidden');
+        return;
+    }
+
+    container.innerHTML = `
+        <h3>Skipped ${rejected.length} invalid record${rejected.length === 1 ? '' : 's'}</h3>
+        <ul>
+            ${rejected.map(record => `
+                <li>
+                    <span class="import-report-label">${escapeHtml(record.label)}</span>
+                    <span class="import-report-type">(${record.type})</span>
+                    <ul class="import-report-errors">
+                        ${record.errors.map(error => `<li>${escapeHtml(error)}</li>`).join('')}
+                    </ul>
+                </li>
+            `).join('')}
+        </ul>
+    `;
+    container.classList.remove('hidden');
 }
 
 function renderStreamingServices() {
@@ -636,13 +1588,153 @@ function renderCustomServices() {
     `).join('');
 }
 
-function handleDeleteCustomService(serviceId) {
-    if (confirm('Delete this custom service? It will also be removed from any shows using it.')) {
-        deleteCustomService(serviceId);
-        renderCustomServices();
-        renderStreamingServices();
-        renderShowsList();
+function handleDeleteCustomService(serviceId) {
+    if (confirm('Delete this custom service? It will also be removed from any shows using it.')) {
+        deleteCustomService(serviceId);
+        renderCustomServices();
+        renderStreamingServices();
+        renderShowsList();
+    }
+}
+
+// ============================================
+// FRANCHISES
+// ============================================
+
+function renderFranchises() {
+    const container = document.getElementById('franchises-list');
+    const franchises = getFranchises();
+
+    if (franchises.length === 0) {
+        container.innerHTML = '<p style="color: var(--text-muted); font-size: 13px;">No franchises added yet.</p>';
+        return;
+    }
+
+    container.innerHTML = franchises.map(franchise => `
+        <div class="custom-service-item franchise-item" onclick="openFranchiseModal('${franchise.id}')">
+            <div class="custom-service-info">
+                <span class="custom-service-name">${escapeHtml(franchise.name)}</span>
+                <span class="franchise-count">${franchise.showIds.length} show${franchise.showIds.length === 1 ? '' : 's'}</span>
+            </div>
+            <button class="custom-service-delete" onclick="event.stopPropagation(); handleDeleteFranchise('${franchise.id}')" title="Delete franchise">&times;</button>
+        </div>
+    `).join('');
+}
+
+function handleAddFranchise() {
+    const nameInput = document.getElementById('franchise-name');
+    const name = nameInput.value.trim();
+    if (!name) {
+        alert('Please enter a franchise name');
+        return;
+    }
+
+    const franchise = addFranchise(name);
+    nameInput.value = '';
+    renderFranchises();
+    openFranchiseModal(franchise.id);
+}
+
+function handleDeleteFranchise(franchiseId) {
+    if (confirm('Delete this franchise? Its shows are kept and get picked on their own again.')) {
+        deleteFranchise(franchiseId);
+        closeAllModals();
+        renderFranchises();
+        renderShowsList();
+    }
+}
+
+function openFranchiseModal(franchiseId) {
+    const franchise = getFranchiseById(franchiseId);
+    if (!franchise) return;
+
+    selectedFranchiseId = franchiseId;
+    document.getElementById('franchise-paste-result').classList.add('hidden');
+    renderFranchiseModal(franchise);
+    document.getElementById('franchise-modal').classList.remove('hidden');
+}
+
+/**
+ * Render the franchise modal: member shows, and the merged watch order
+ * @param {Object} franchise - Franchise object
+ */
+function renderFranchiseModal(franchise) {
+    const shows = getShows();
+    document.getElementById('franchise-modal-title').textContent = franchise.name;
+
+    // A show belongs to one franchise at most
+    const available = shows.filter(show => {
+        const other = getShowFranchise(show.id);
+        return !other || other.id === franchise.id;
+    });
+    document.getElementById('franchise-shows-list').innerHTML = available.map(show => {
+        const isMember = franchise.showIds.includes(show.id);
+        return `
+            <label class="show-service-item ${isMember ? 'selected' : ''}" style="--service-color: var(--primary)">
+                <input type="checkbox"
+                       ${isMember ? 'checked' : ''}
+                       onchange="handleFranchiseShowToggle('${show.id}', this.checked)">
+                <span>${escapeHtml(show.title)}</span>
+            </label>
+        `;
+    }).join('');
+
+    const items = getFranchiseEpisodes(franchise, shows);
+    const list = document.getElementById('franchise-order-list');
+    document.getElementById('franchise-order-section').classList.toggle('hidden', items.length === 0);
+    list.innerHTML = items.map(({ show, episode }, index) => `
+        <li class="watch-order-item ${episode.watched ? 'watched' : ''}" draggable="true" data-index="${index}">
+            <span class="queue-handle" title="Drag to reorder">⋮⋮</span>
+            <span class="ep-code">${formatEpisodeCode(episode.season, episode.episodeNumber)}</span>
+            <span class="ep-name">${escapeHtml(show.title)} · ${escapeHtml(episode.title)}</span>
+        </li>
+    `).join('');
+
+    // Drag to reorder
+    enableDragReorder(list.querySelectorAll('.watch-order-item'), (from, to) => {
+        const watchOrder = items.map(({ show, episode }) => ({ showId: show.id, episodeId: episode.id }));
+        const [moved] = watchOrder.splice(from, 1);
+        watchOrder.splice(to, 0, moved);
+        renderFranchiseModal(updateFranchise(franchise.id, { watchOrder }));
+    });
+}
+
+function handleFranchiseShowToggle(showId, isChecked) {
+    const franchise = getFranchiseById(selectedFranchiseId);
+    if (!franchise) return;
+
+    const showIds = isChecked
+        ? [...franchise.showIds, showId]
+        : franchise.showIds.filter(id => id !== showId);
+    renderFranchiseModal(updateFranchise(franchise.id, { showIds }));
+    renderFranchises();
+    renderShowsList();
+}
+
+/**
+ * Replace the franchise's merged order with the pasted list. Episodes the list
+ * leaves out follow after the listed ones, show by show.
+ */
+function handlePasteFranchiseOrder() {
+    const franchise = getFranchiseById(selectedFranchiseId);
+    if (!franchise) return;
+
+    const textarea = document.getElementById('franchise-paste');
+    const { watchOrder, unmatched } = parseFranchiseWatchOrder(franchise, getShows(), textarea.value);
+    const result = document.getElementById('franchise-paste-result');
+
+    if (watchOrder.length === 0) {
+        result.textContent = 'No episodes recognized. Use one episode per line, like "The Flash S01E08".';
+        result.classList.remove('hidden');
+        return;
     }
+
+    renderFranchiseModal(updateFranchise(franchise.id, { watchOrder }));
+    textarea.value = '';
+    result.textContent = unmatched.length > 0
+        ? `Ordered ${watchOrder.length} episodes. Not recognized: ${unmatched.join(', ')}`
+        : `Ordered ${watchOrder.length} episodes.`;
+    result.classList.remove('hidden');
 }
 
 // ============================================
@@ -674,6 +1766,68 @@ function initializeModals() {
     // Delete show button
     document.getElementById('delete-show-btn').addEventListener('click', handleDeleteShow);
 
+    // Franchise modal
+    document.getElementById('franchise-paste-btn').addEventListener('click', handlePasteFranchiseOrder);
+    document.getElementById('delete-franchise-btn').addEventListener('click', () => {
+        if (selectedFranchiseId) {
+            handleDeleteFranchise(selectedFranchiseId);
+        }
+    });
+
+    // Status select
+    document.getElementById('show-status-select').addEventListener('change', (e) => {
+        if (!selectedShowId) return;
+        updateShow(selectedShowId, { watchStatus: e.target.value });
+        renderShowsList();
+    });
+
+    // Priority select
+    document.getElementById('show-priority-select').addEventListener('change', (e) => {
+        if (!selectedShowId) return;
+        updateShow(selectedShowId, { priority: parseInt(e.target.value) });
+        renderShowsList();
+    });
+
+    // Snooze and never auto-pick
+    document.getElementById('show-snooze-input').addEventListener('change', (e) => {
+        if (!selectedShowId) return;
+        snoozeShow(selectedShowId, e.target.value ? new Date(`${e.target.value}T00:00`).toISOString() : null);
+        renderShowsList();
+    });
+    document.getElementById('show-snooze-clear').addEventListener('click', () => {
+        if (!selectedShowId) return;
+        snoozeShow(selectedShowId, null);
+        loadShowPickingControls(getShowById(selectedShowId));
+        renderShowsList();
+    });
+    document.getElementById('show-never-pick').addEventListener('change', (e) => {
+        if (!selectedShowId) return;
+        setNeverAutoPick(selectedShowId, e.target.checked);
+        renderShowsList();
+    });
+
+    // Episode order
+    document.getElementById('show-episode-order').addEventListener('change', (e) => {
+        if (!selectedShowId) return;
+        updateShow(selectedShowId, { episodeOrder: e.target.value });
+    });
+
+    // Watch orders
+    document.getElementById('watch-order-select').addEventListener('change', (e) => {
+        if (!selectedShowId) return;
+        renderWatchOrders(setActiveWatchOrder(selectedShowId, e.target.value || null));
+    });
+    document.getElementById('watch-order-add-btn').addEventListener('click', handleAddWatchOrder);
+    document.getElementById('watch-order-delete-btn').addEventListener('click', handleDeleteWatchOrder);
+    document.getElementById('watch-order-paste-btn').addEventListener('click', handlePasteWatchOrder);
+
+    // Start rewatch button
+    document.getElementById('start-rewatch-btn').addEventListener('click', handleStartRewatch);
+
+    // Refresh from TVMaze
+    document.getElementById('refresh-show-btn').addEventListener('click', handleRefreshShow);
+    document.getElementById('refresh-running-btn').addEventListener('click', handleRefreshRunningShows);
+
     // Search functionality
     document.getElementById('search-btn').addEventListener('click', handleShowSearch);
     document.getElementById('show-search').addEventListener('keypress', (e) => {
@@ -687,6 +1841,7 @@ function initializeModals() {
 function closeAllModals() {
     document.querySelectorAll('.modal').forEach(m => m.classList.add('hidden'));
     selectedShowId = null;
+    selectedFranchiseId = null;
 }
 
 // ============================================
@@ -729,8 +1884,17 @@ async function handleShowSearch() {
     resultsContainer.classList.add('hidden');
     loadingEl.classList.remove('hidden');
 
+    // A newer search supersedes the one in flight
+    if (searchController) {
+        searchController.abort();
+    }
+    const controller = new AbortController();
+    searchController = controller;
+
     try {
-        const results = await TV_API.searchShows(query);
+        const { results, cached } = await TV_API.searchShows(query, controller.signal);
+        // Results served from the cache can't be cancelled; drop them if a newer search started
+        if (controller.signal.aborted) return;
 
         loadingEl.classList.add('hidden');
 
@@ -741,7 +1905,7 @@ async function handleShowSearch() {
         }
 
         // Render search results
-        resultsContainer.innerHTML = results.slice(0, 5).map(show => `
+        resultsContainer.innerHTML = (cached ? `<div class="search-cached-row">${renderCachedNote('Saved search results')}</div>` : '') + results.slice(0, 5).map(show => `
             <div class="search-result-item" data-show-id="${show.id}">
                 <div class="search-result-info">
                     <span class="search-result-title">${escapeHtml(show.name)}</span>
@@ -758,9 +1922,34 @@ async function handleShowSearch() {
 
         resultsContainer.classList.remove('hidden');
     } catch (error) {
+        if (error.type === API_ERROR_TYPES.ABORTED) return;
+
         loadingEl.classList.add('hidden');
-        resultsContainer.innerHTML = '<p class="search-error">Search failed. Please try again.</p>';
+        resultsContainer.innerHTML = `<p class="search-error">${escapeHtml(describeApiError(error, 'Search failed. Please try again.'))}</p>`;
         resultsContainer.classList.remove('hidden');
+    } finally {
+        if (searchController === controller) {
+            searchController = null;
+        }
+    }
+}
+
+/**
+ * Explain a failed API request to the user
+ * @param {Error} error - Error thrown by TV_API (usually an ApiError)
+ * @param {string} fallback - Message for other failures
+ * @returns {string} Message
+ */
+function describeApiError(error, fallback) {
+    switch (error.type) {
+        case API_ERROR_TYPES.RATE_LIMITED:
+            return 'TVMaze is getting too many requests right now. Please wait a few seconds and try again.';
+        case API_ERROR_TYPES.OFFLINE:
+            return 'You appear to be offline. Shows and searches loaded before are still available.';
+        case API_ERROR_TYPES.NOT_FOUND:
+            return 'That show could not be found on TVMaze.';
+        default:
+            return fallback;
     }
 }
 
@@ -783,7 +1972,15 @@ async function selectShowFromSearch(showId, showName) {
             network: showDetails.network,
             webChannel: showDetails.webChannel,
             streamingServices: showDetails.streamingServices,
-            streamingLinks: showDetails.streamingLinks
+            streamingLinks: showDetails.streamingLinks,
+            streamingCategories: showDetails.streamingCategories,
+            streamingRegion: showDetails.streamingRegion,
+            genres: showDetails.genres,
+            status: showDetails.status,
+            premiereYear: showDetails.premiereYear,
+            tvmazeId: showDetails.id,
+            imdbId: showDetails.imdbId,
+            tmdbId: showDetails.tmdbId
         };
 
         // Fill in the form
@@ -809,19 +2006,28 @@ async function selectShowFromSearch(showId, showName) {
         // Build streaming info message
         let streamingMsg = '';
         if (showDetails.streamingServices && showDetails.streamingServices.length > 0) {
+            const categories = getSettings().providerCategories ?? DEFAULT_SETTINGS.providerCategories;
             const serviceNames = showDetails.streamingServices
-                .map(id => STREAMING_SERVICES.find(s => s.id === id))
-                .filter(s => s)
-                .map(s => s.name);
+                .filter(id => isServiceOffered(showDetails, id, categories))
+                .map(id => {
+                    const service = STREAMING_SERVICES.find(s => s.id === id);
+                    return service && formatServiceBadgeLabel({ ...service, category: getServiceCategory(showDetails, id, categories) });
+                })
+                .filter(s => s);
             if (serviceNames.length > 0) {
                 streamingMsg = `<br>Available on: ${serviceNames.join(', ')}`;
             }
         }
 
+        const duplicate = findDuplicateShow({ title: showDetails.name, ...pendingShowData });
+        const duplicateMsg = duplicate
+            ? `<br>You already have this show as "${escapeHtml(duplicate.title)}". Saving offers to merge into it.`
+            : '';
+
         // Show success message
         resultsContainer.innerHTML = `
             <div class="search-success">
-                Loaded ${showDetails.totalEpisodes} episodes across ${showDetails.totalSeasons} seasons.${streamingMsg}
+                Loaded ${showDetails.totalEpisodes} episodes across ${showDetails.totalSeasons} seasons.${showDetails.cached ? ' ' + renderCachedNote('Saved copy') : ''}${streamingMsg}${duplicateMsg}
                 <br>Review below and click "Save Show" when ready.
             </div>
         `;
@@ -829,7 +2035,7 @@ async function selectShowFromSearch(showId, showName) {
 
     } catch (error) {
         loadingEl.classList.add('hidden');
-        resultsContainer.innerHTML = '<p class="search-error">Failed to load show details. Please try again.</p>';
+        resultsContainer.innerHTML = `<p class="search-error">${escapeHtml(describeApiError(error, 'Failed to load show details. Please try again.'))}</p>`;
         resultsContainer.classList.remove('hidden');
     }
 }
@@ -915,6 +2121,30 @@ function handleAddShow(e) {
         showData.webChannel = pendingShowData.webChannel;
         showData.streamingServices = pendingShowData.streamingServices;
         showData.streamingLinks = pendingShowData.streamingLinks;
+        showData.streamingCategories = pendingShowData.streamingCategories;
+        showData.streamingRegion = pendingShowData.streamingRegion;
+        showData.genres = pendingShowData.genres;
+        showData.status = pendingShowData.status;
+        showData.premiereYear = pendingShowData.premiereYear;
+        showData.tvmazeId = pendingShowData.tvmazeId;
+        showData.imdbId = pendingShowData.imdbId;
+        showData.tmdbId = pendingShowData.tmdbId;
+    }
+
+    const duplicate = findDuplicateShow(showData);
+    if (duplicate) {
+        const mergeIntoExisting = confirm(
+            `"${duplicate.title}" is already in your shows.\n\n` +
+            'OK = Merge into it (keeps its watched episodes and adds any new ones)\n' +
+            'Cancel = Add as a separate show'
+        );
+        if (mergeIntoExisting) {
+            mergeDuplicateShows([{ showId: duplicate.id, show: showData }]);
+            pendingShowData = null;
+            closeAllModals();
+            renderShowsList();
+            return;
+        }
     }
 
     addShow(showData);
@@ -923,6 +2153,146 @@ function handleAddShow(e) {
     renderShowsList();
 }
 
+// ============================================
+// REFRESH FROM TVMAZE
+// ============================================
+
+/**
+ * Re-fetch shows from TVMaze and merge what changed. The API client's scheduler
+ * limits how many are fetched at once and keeps under TVMaze's rate limit, so a
+ * large library takes a while rather than running into 429s.
+ * @param {Array} shows - Shows with a tvmazeId
+ * @returns {Promise<Object>} { results, failed, cached } with refreshShows results, the titles that
+ *     failed to load and the titles that could only be refreshed from cached data
+ */
+async function refreshShowsFromTvmaze(shows) {
+    const refreshes = [];
+    const failed = [];
+    const cached = [];
+
+    const outcomes = await Promise.allSettled(
+        shows.map(show => TV_API.getShowDetails(show.tvmazeId, { fresh: true }))
+    );
+    outcomes.forEach((outcome, index) => {
+        const show = shows[index];
+        if (outcome.status === 'rejected') {
+            failed.push(show.title);
+            return;
+        }
+        refreshes.push({ showId: show.id, details: outcome.value });
+        if (outcome.value.cached) {
+            cached.push(show.title);
+        }
+    });
+
+    const results = refreshShows(refreshes);
+    refreshAllViews();
+    return { results, failed, cached };
+}
+
+/**
+ * Describe the outcome of a refresh, e.g. "3 new episodes, 1 updated. Failed: Severance"
+ * @param {Object} outcome - Result of refreshShowsFromTvmaze
+ * @returns {string} Summary message
+ */
+function formatRefreshSummary({ results, failed, cached }) {
+    const added = results.reduce((sum, result) => sum + result.added, 0);
+    const updated = results.reduce((sum, result) => sum + result.updated, 0);
+
+    const parts = [];
+    if (added > 0) parts.push(`${added} new episode${added === 1 ? '' : 's'}`);
+    if (updated > 0) parts.push(`${updated} updated`);
+    let message = parts.length > 0 ? `${parts.join(', ')}.` : 'Already up to date.';
+    if (cached.length > 0) {
+        message += ` Offline, used cached data for: ${cached.join(', ')}.`;
+    }
+    if (failed.length > 0) {
+        message += ` Failed to load: ${failed.join(', ')}`;
+    }
+    return message;
+}
+
+async function handleRefreshShow() {
+    const show = getShowById(selectedShowId);
+    if (!show || !show.tvmazeId) return;
+
+    const button = document.getElementById('refresh-show-btn');
+    button.disabled = true;
+    button.textContent = 'Refreshing...';
+
+    const outcome = await refreshShowsFromTvmaze([show]);
+
+    button.disabled = false;
+    button.textContent = 'Refresh from TVMaze';
+    showStatusMessage('refresh-show-status', formatRefreshSummary(outcome), outcome.failed.length > 0 ? 'error' : 'success');
+}
+
+async function handleRefreshRunningShows() {
+    const shows = getRefreshableShows(getShows());
+    if (shows.length === 0) {
+        showStatusMessage('refresh-status', 'No running shows from TVMaze to refresh.', 'success');
+        return;
+    }
+
+    const button = document.getElementById('refresh-running-btn');
+    button.disabled = true;
+    button.textContent = `Refreshing ${shows.length} show${shows.length === 1 ? '' : 's'}...`;
+
+    const outcome = await refreshShowsFromTvmaze(shows);
+
+    button.disabled = false;
+    button.textContent = 'Refresh Running';
+    showStatusMessage('refresh-status', formatRefreshSummary(outcome), outcome.failed.length > 0 ? 'error' : 'success');
+}
+
+// ============================================
+// RE-CHECK STREAMING AVAILABILITY
+// ============================================
+
+/**
+ * Look up where shows stream in the current region again. Unlike a TVMaze refresh this
+ * works for any show (running or not, from TVMaze or added by hand) that TMDB knows.
+ * @param {Array} shows - Shows to check
+ * @returns {Promise<Object>} { changed, failed } with the number of shows whose availability
+ *     changed and the titles that could not be looked up
+ */
+async function recheckStreamingAvailability(shows) {
+    const availabilities = await Promise.all(
+        shows.map(show => TV_API.getStreamingAvailability(show.title, show.imdbId, { tmdbId: show.tmdbId }))
+    );
+
+    const failed = shows.filter((show, index) => !availabilities[index].region).map(show => show.title);
+    const changed = updateStreamingAvailability(
+        shows.map((show, index) => ({ showId: show.id, availability: availabilities[index] }))
+    );
+    refreshAllViews();
+    return { changed, failed };
+}
+
+async function handleRecheckAvailability() {
+    const shows = getShows();
+    if (shows.length === 0) {
+        showStatusMessage('availability-status', 'No shows to check.', 'success');
+        return;
+    }
+
+    const button = document.getElementById('recheck-availability-btn');
+    button.disabled = true;
+    button.textContent = `Checking ${shows.length} show${shows.length === 1 ? '' : 's'}...`;
+
+    const { changed, failed } = await recheckStreamingAvailability(shows);
+
+    button.disabled = false;
+    button.textContent = 'Re-check Availability';
+    let message = changed > 0
+        ? `Updated where ${changed} show${changed === 1 ? '' : 's'} stream${changed === 1 ? 's' : ''}.`
+        : 'Already up to date.';
+    if (failed.length > 0) {
+        message += ` Could not look up: ${failed.join(', ')}`;
+    }
+    showStatusMessage('availability-status', message, failed.length > 0 ? 'error' : 'success');
+}
+
 // ============================================
 // SHOW DETAIL MODAL
 // ============================================
@@ -934,11 +2304,124 @@ function openShowDetailModal(showId) {
     if (!show) return;
 
     document.getElementById('modal-show-title').textContent = show.title;
+    document.getElementById('show-priority-select').value = show.priority || DEFAULT_SHOW_PRIORITY;
+    document.getElementById('show-status-select').value = show.watchStatus;
+    loadShowPickingControls(show);
+    renderWatchOrders(show);
+    document.getElementById('watch-order-paste-result').classList.add('hidden');
+    renderShowPasses(show);
     renderShowServices(show);
     renderEpisodeList(show);
+    document.getElementById('refresh-show-btn').classList.toggle('hidden', !show.tvmazeId);
+    document.getElementById('refresh-show-status').classList.add('hidden');
     document.getElementById('show-detail-modal').classList.remove('hidden');
 }
 
+/**
+ * Fill the modal's picking controls (snooze date, episode order, never auto-pick) from a show
+ * @param {Object} show - Show object
+ */
+function loadShowPickingControls(show) {
+    const snoozeInput = document.getElementById('show-snooze-input');
+    if (isShowSnoozed(show)) {
+        // Date inputs want the local YYYY-MM-DD
+        const until = new Date(show.snoozedUntil);
+        until.setMinutes(until.getMinutes() - until.getTimezoneOffset());
+        snoozeInput.value = until.toISOString().slice(0, 10);
+    } else {
+        snoozeInput.value = '';
+    }
+    document.getElementById('show-episode-order').value = show.episodeOrder || EPISODE_ORDERS.SEQUENTIAL;
+    document.getElementById('show-never-pick').checked = !!show.neverAutoPick;
+}
+
+/**
+ * Render the watch order select, and the editable list of the selected custom order
+ * @param {Object} show - Show object
+ */
+function renderWatchOrders(show) {
+    const orders = show.watchOrders || [];
+    const activeOrder = orders.find(o => o.id === show.activeWatchOrderId);
+
+    document.getElementById('watch-order-select').innerHTML = `
+        <option value="">Aired order</option>
+        ${orders.map(order => `
+            <option value="${order.id}" ${order === activeOrder ? 'selected' : ''}>${escapeHtml(order.name)}</option>
+        `).join('')}
+    `;
+    document.getElementById('watch-order-delete-btn').classList.toggle('hidden', !activeOrder);
+    document.getElementById('watch-order-editor').classList.toggle('hidden', !activeOrder);
+    if (!activeOrder) return;
+
+    const list = document.getElementById('watch-order-list');
+    list.innerHTML = sortEpisodesInOrder(show.episodes).map((ep, index) => `
+        <li class="watch-order-item ${ep.watched ? 'watched' : ''}" draggable="true" data-index="${index}">
+            <span class="queue-handle" title="Drag to reorder">⋮⋮</span>
+            <span class="ep-code">${formatEpisodeCode(ep.season, ep.episodeNumber)}</span>
+            <span class="ep-name">${escapeHtml(ep.title)}</span>
+        </li>
+    `).join('');
+
+    // Drag to reorder
+    enableDragReorder(list.querySelectorAll('.watch-order-item'), (from, to) => {
+        const episodeIds = getWatchOrderEpisodeIds(show, activeOrder.id);
+        const [moved] = episodeIds.splice(from, 1);
+        episodeIds.splice(to, 0, moved);
+        renderWatchOrders(updateWatchOrder(show.id, activeOrder.id, episodeIds));
+    });
+}
+
+function handleAddWatchOrder() {
+    if (!selectedShowId) return;
+
+    const input = document.getElementById('watch-order-name');
+    const name = input.value.trim();
+    if (!name) {
+        alert('Please enter a name for the watch order');
+        return;
+    }
+
+    addWatchOrder(selectedShowId, name);
+    input.value = '';
+    renderWatchOrders(getShowById(selectedShowId));
+}
+
+function handleDeleteWatchOrder() {
+    const show = getShowById(selectedShowId);
+    if (!show || !show.activeWatchOrderId) return;
+
+    const order = show.watchOrders.find(o => o.id === show.activeWatchOrderId);
+    if (confirm(`Delete ${order.name}? The show goes back to aired order.`)) {
+        renderWatchOrders(deleteWatchOrder(show.id, order.id));
+    }
+}
+
+/**
+ * Replace the selected watch order with the pasted list. Episodes the list leaves
+ * out keep their aired order after the listed ones.
+ */
+function handlePasteWatchOrder() {
+    const show = getShowById(selectedShowId);
+    if (!show || !show.activeWatchOrderId) return;
+
+    const textarea = document.getElementById('watch-order-paste');
+    const { episodeIds, unmatched } = parseWatchOrder(show, textarea.value);
+    const result = document.getElementById('watch-order-paste-result');
+
+    if (episodeIds.length === 0) {
+        result.textContent = 'No episodes recognized. Use one episode per line, like S01E05, 1x05 or the title.';
+        result.classList.remove('hidden');
+        return;
+    }
+
+    renderWatchOrders(updateWatchOrder(show.id, show.activeWatchOrderId, episodeIds));
+    textarea.value = '';
+    result.textContent = unmatched.length > 0
+        ? `Ordered ${episodeIds.length} episodes. Not recognized: ${unmatched.join(', ')}`
+        : `Ordered ${episodeIds.length} episodes.`;
+    result.classList.remove('hidden');
+}
+
 function renderShowServices(show) {
     const container = document.getElementById('show-services-list');
     const allServices = getAllStreamingServices();
@@ -1007,6 +2490,7 @@ function renderEpisodeList(show) {
                            onchange="handleEpisodeToggle('${show.id}', '${ep.id}', this.checked)">
                     <span class="ep-code">${formatEpisodeCode(ep.season, ep.episodeNumber)}</span>
                     <span class="ep-name">${escapeHtml(ep.title)}</span>
+                    ${ep.watchCount > 1 ? `<span class="ep-watch-count" title="Watched ${ep.watchCount} times">×${ep.watchCount}</span>` : ''}
                     <span class="ep-time">${formatRuntime(ep.runtime)}</span>
                 </label>
             `).join('')}
@@ -1022,6 +2506,8 @@ function handleEpisodeToggle(showId, episodeId, watched) {
     // Re-render the episode list to update styles
     const show = getShowById(showId);
     if (show) {
+        document.getElementById('show-status-select').value = show.watchStatus;
+        renderShowPasses(show);
         renderEpisodeList(show);
     }
 
@@ -1030,16 +2516,257 @@ function handleEpisodeToggle(showId, episodeId, watched) {
     renderHistory();
 }
 
+/**
+ * Render the current pass and any earlier completed passes for a show
+ * @param {Object} show - Show object
+ */
+function renderShowPasses(show) {
+    const container = document.getElementById('show-passes');
+    const progress = calculateShowProgress(show);
+    const pastPasses = show.pastPasses || [];
+
+    container.innerHTML = `
+        <div class="show-pass-current">
+            <span class="show-pass-label">${formatPassLabel(progress.pass)}</span>
+            <span class="show-pass-progress">${progress.watched}/${progress.total} episodes (${progress.percentage}%)</span>
+        </div>
+        ${pastPasses.length > 0 ? `
+            <ul class="show-pass-history">
+                ${pastPasses.slice().reverse().map(pass => `
+                    <li>
+                        ${formatPassLabel(pass.pass)}: ${pass.watched}/${pass.total} episodes
+                        ${pass.endedAt ? `<span class="show-pass-date">ended ${new Date(pass.endedAt).toLocaleDateString()}</span>` : ''}
+                    </li>
+                `).join('')}
+            </ul>
+        ` : ''}
+        ${renderShowSkipSummary(show)}
+    `;
+}
+
+/**
+ * Summarize how often a show was skipped, and why
+ * @param {Object} show - Show object
+ * @returns {string} HTML, or '' if the show was never skipped
+ */
+function renderShowSkipSummary(show) {
+    const skips = show.skips || [];
+    if (skips.length === 0) return '';
+
+    const reasonCounts = {};
+    skips.forEach(skip => {
+        const label = SKIP_REASONS[skip.reason] || 'No reason';
+        reasonCounts[label] = (reasonCounts[label] || 0) + 1;
+    });
+
+    return `
+        <div class="show-skips">
+            Skipped ${skips.length} time${skips.length === 1 ? '' : 's'}
+            <span class="show-pass-date">
+                ${Object.entries(reasonCounts).map(([label, count]) => `${label} ×${count}`).join(', ')}
+                · last ${new Date(skips[skips.length - 1].skippedAt).toLocaleDateString()}
+            </span>
+        </div>
+    `;
+}
+
+function handleStartRewatch() {
+    if (!selectedShowId) return;
+
+    const show = getShowById(selectedShowId);
+    if (!show) return;
+
+    const nextPass = formatPassLabel((show.currentPass || 1) + 1);
+    if (confirm(`Start ${nextPass} of ${show.title}? Progress resets for the new pass; watch counts are kept.`)) {
+        const updatedShow = startNewPass(selectedShowId);
+        document.getElementById('show-status-select').value = updatedShow.watchStatus;
+        renderShowPasses(updatedShow);
+        renderEpisodeList(updatedShow);
+        renderShowsList();
+    }
+}
+
 function handleDeleteShow() {
     if (!selectedShowId) return;
 
-    if (confirm('Are you sure you want to delete this show? This cannot be undone.')) {
+    if (confirm('Are you sure you want to delete this show?')) {
         deleteShow(selectedShowId);
         closeAllModals();
         renderShowsList();
     }
 }
 
+// ============================================
+// STORAGE ERRORS
+// ============================================
+
+function initializeStorageErrors() {
+    const toast = document.getElementById('storage-error-toast');
+    document.getElementById('storage-error-dismiss-btn').addEventListener('click', () => {
+        toast.classList.add('hidden');
+    });
+
+    // Stays up until dismissed: the change is only kept until the page is reloaded
+    STORAGE_ENGINE.onWriteError(error => {
+        const reason = error?.name === 'QuotaExceededError' ? 'storage is full' : 'the browser refused the write';
+        document.getElementById('storage-error-message').textContent =
+            `Your latest changes could not be saved (${reason}) and will be lost on reload. Export your data from Settings to keep them.`;
+        toast.classList.remove('hidden');
+    });
+}
+
+// ============================================
+// UNDO / REDO
+// ============================================
+
+// Timer for hiding the undo toast
+let toastTimeout = null;
+
+function initializeUndo() {
+    document.getElementById('undo-toast-btn').addEventListener('click', handleUndo);
+    document.getElementById('redo-toast-btn').addEventListener('click', handleRedo);
+
+    // Ctrl/Cmd+Z to undo, Ctrl/Cmd+Shift+Z or Ctrl/Cmd+Y to redo
+    document.addEventListener('keydown', (e) => {
+        if (!(e.ctrlKey || e.metaKey)) return;
+
+        // Leave text fields to the browser's own undo
+        if (e.target.matches('input[type="text"], input[type="number"], textarea')) return;
+
+        const key = e.key.toLowerCase();
+        if (key === 'z' && !e.shiftKey) {
+            e.preventDefault();
+            handleUndo();
+        } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+            e.preventDefault();
+            handleRedo();
+        }
+    });
+
+    // Offer undo whenever an action is recorded
+    onJournalChange((action, entry) => {
+        if (action === 'record') {
+            showUndoToast(entry.label);
+        }
+    });
+}
+
+function handleUndo() {
+    const entry = undoLastAction();
+    if (!entry) {
+        showUndoToast('Nothing to undo');
+        return;
+    }
+
+    syncQueueWithJournal(entry, 'undo');
+    refreshAllViews();
+    showUndoToast(`Undone: ${entry.label}`);
+}
+
+function handleRedo() {
+    const entry = redoLastAction();
+    if (!entry) {
+        showUndoToast('Nothing to redo');
+        return;
+    }
+
+    syncQueueWithJournal(entry, 'redo');
+    refreshAllViews();
+    showUndoToast(`Redone: ${entry.label}`);
+}
+
+/**
+ * Keep the Couch Potato session in step when "Mark Watched & Next" is undone or redone
+ * @param {Object} entry - The journal entry that was undone/redone
+ * @param {string} action - "undo" or "redo"
+ */
+function syncQueueWithJournal(entry, action) {
+    const { episodeId, watched, skipped } = entry.context || {};
+    if (!currentQueue || !episodeId || !(watched || skipped)) return;
+
+    const flag = watched ? 'watched' : 'skipped';
+    if (action === 'undo') {
+        const previous = currentQueue.episodes[currentQueueIndex - 1];
+        if (previous && previous.episodeId === episodeId) {
+            previous[flag] = false;
+            currentQueueIndex--;
+            currentItemStartedAt = new Date().toISOString();
+        }
+    } else {
+        const current = currentQueue.episodes[currentQueueIndex];
+        if (current && current.episodeId === episodeId) {
+            current[flag] = true;
+            currentQueueIndex++;
+            currentItemStartedAt = new Date().toISOString();
+        }
+    }
+    saveCurrentSession();
+}
+
+/**
+ * Show the undo toast with Undo/Redo buttons for whatever is available
+ * @param {string} message - Message to display
+ */
+function showUndoToast(message) {
+    const toast = document.getElementById('undo-toast');
+    document.getElementById('undo-toast-message').textContent = message;
+    document.getElementById('undo-toast-btn').classList.toggle('hidden', !canUndo());
+    document.getElementById('redo-toast-btn').classList.toggle('hidden', !canRedo());
+    toast.classList.remove('hidden');
+
+    // Hide after 5 seconds
+    clearTimeout(toastTimeout);
+    toastTimeout = setTimeout(() => {
+        toast.classList.add('hidden');
+    }, 5000);
+}
+
+/**
+ * Re-render every view after data changed underneath it
+ */
+function refreshAllViews() {
+    renderShowsList();
+    renderHistory();
+    renderStreamingServices();
+    renderCustomServices();
+    renderPickedStatuses();
+    renderStreamingAvailability();
+    renderFranchises();
+    loadCouchPotatoSettings();
+    loadPickerSettings();
+
+    // Keep an open show detail modal in sync (or close it if the show is gone)
+    if (selectedShowId) {
+        const show = getShowById(selectedShowId);
+        if (show) {
+            document.getElementById('show-status-select').value = show.watchStatus;
+            document.getElementById('show-priority-select').value = show.priority || DEFAULT_SHOW_PRIORITY;
+            loadShowPickingControls(show);
+            renderWatchOrders(show);
+            renderShowPasses(show);
+            renderShowServices(show);
+            renderEpisodeList(show);
+        } else {
+            closeAllModals();
+        }
+    }
+
+    if (selectedFranchiseId) {
+        const franchise = getFranchiseById(selectedFranchiseId);
+        if (franchise) {
+            renderFranchiseModal(franchise);
+        } else {
+            closeAllModals();
+        }
+    }
+
+    if (!document.getElementById('now-watching').classList.contains('hidden')) {
+        renderNowWatching();
+    } else if (!document.getElementById('binge-queue').classList.contains('hidden')) {
+        renderQueue();
+    }
+}
+
 // ============================================
 // UTILITY FUNCTIONS
 // ============================================
@@ -1052,3 +2779,60 @@ function escapeHtml(text) {
     div.textContent = text;
     return div.innerHTML;
 }
+
+/**
+ * Render a small "cached" badge for API data that may be out of date
+ * @param {string} title - Tooltip explaining what was served from the cache
+ * @returns {string} HTML
+ */
+function renderCachedNote(title) {
+    return `<span class="cached-badge" title="${escapeHtml(title)} (offline or out of date)">cached</span>`;
+}
+
+/**
+ * Show a success or error message in a status element for a few seconds
+ * @param {string} elementId - ID of the status element
+ * @param {string} message - Message to show
+ * @param {string} type - "success" or "error"
+ */
+function showStatusMessage(elementId, message, type) {
+    const statusEl = document.getElementById(elementId);
+    statusEl.textContent = message;
+    statusEl.className = `status-message ${type}`;
+    statusEl.classList.remove('hidden');
+
+    // Hide after 3 seconds
+    setTimeout(() => {
+        statusEl.classList.add('hidden');
+    }, 3000);
+}
+
+/**
+ * Let the user drag list items onto each other to reorder them
+ * @param {NodeList} items - Draggable elements, each with a data-index
+ * @param {Function} onMove - Called with (from, to) indexes when an item is dropped on another
+ */
+function enableDragReorder(items, onMove) {
+    items.forEach(item => {
+        item.addEventListener('dragstart', (e) => {
+            e.dataTransfer.setData('text/plain', item.dataset.index);
+            item.classList.add('dragging');
+        });
+        item.addEventListener('dragend', () => item.classList.remove('dragging'));
+        item.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            item.classList.add('drag-over');
+        });
+        item.addEventListener('dragleave', () => item.classList.remove('drag-over'));
+        item.addEventListener('drop', (e) => {
+            e.preventDefault();
+            const from = parseInt(e.dataTransfer.getData('text/plain'));
+            const to = parseInt(item.dataset.index);
+            if (!isNaN(from) && from !== to) {
+                onMove(from, to);
+            } else {
+                item.classList.remove('drag-over');
+            }
+        });
+    });
+}
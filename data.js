@@ -1,5 +1,8 @@
 /**
- * Data Layer - Handles all localStorage operations and data models
+ * Data Layer - Handles all data access and data models
+ *
+ * Persistence is delegated to STORAGE_ENGINE (storage.js), which must be
+ * initialized with initStorage() before any of these functions are used.
  *
  * Data Structure:
  * - shows: Array of show objects
@@ -7,22 +10,65 @@
  * - settings: User preferences (couch potato duration, etc.)
  */
 
-// ============================================
-// STORAGE KEYS
-// ============================================
-const STORAGE_KEYS = {
-    SHOWS: 'randomEpisodePicker_shows',
-    HISTORY: 'randomEpisodePicker_history',
-    SETTINGS: 'randomEpisodePicker_settings'
-};
-
 // ============================================
 // DEFAULT DATA
 // ============================================
 const DEFAULT_SETTINGS = {
     couchPotatoDuration: 360, // Default 6 hours in minutes
+    couchPotatoFinishBy: null, // "HH:MM" to fit the queue before, instead of a duration
+    queueBreakMinutes: 0, // Break between Couch Potato episodes
+    queueFitMode: 'closest', // 'closest' or 'neverExceed' (see QUEUE_FIT_MODES)
+    queueFitTolerance: 10, // Minutes over or under the target a queue may land
+    queueComposition: { // Couch Potato queue rules (see pickComposedEpisode); 0 = no limit
+        maxPerShow: 0,
+        blockSize: 1,
+        minDistinctShows: 0,
+        noBackToBack: false,
+        interleaveLong: false
+    },
     streamingServices: [], // User's streaming services
-    customServices: [] // User-defined streaming services (e.g., Plex, local drives)
+    streamingRegion: 'US', // Country streaming availability is looked up for (see STREAMING_REGIONS)
+    providerCategories: ['subscription', 'free'], // Ways of watching to show (see PROVIDER_CATEGORIES)
+    customServices: [], // User-defined streaming services (e.g., Plex, local drives)
+    rewatchMode: 'off', // 'off', 'random' or 'sequential' (see REWATCH_MODES)
+    rewatchCooldownDays: 30, // Random rewatches skip episodes seen within this many days
+    pickStrategy: 'priority', // How shows are weighed when picking (see PICK_STRATEGIES)
+    genreFilter: { include: [], exclude: [] }, // Genre filter for Randomize and Couch Potato
+    excludedStatuses: ['backlog', 'paused', 'dropped'] // Show statuses the picker leaves out
+};
+
+// Default show priority (1 = lowest, 5 = highest; see SHOW_PRIORITY_WEIGHTS)
+const DEFAULT_SHOW_PRIORITY = 3;
+
+// Where a show is in its lifecycle (stored as show.watchStatus)
+const SHOW_STATUSES = {
+    BACKLOG: 'backlog', // Not started yet
+    WATCHING: 'watching',
+    PAUSED: 'paused',
+    DROPPED: 'dropped',
+    COMPLETED: 'completed'
+};
+
+const SHOW_STATUS_LABELS = {
+    watching: 'Watching',
+    backlog: 'Backlog',
+    paused: 'Paused',
+    completed: 'Completed',
+    dropped: 'Dropped'
+};
+
+// Which unwatched episode of a show plays next (stored as show.episodeOrder)
+const EPISODE_ORDERS = {
+    SEQUENTIAL: 'sequential', // The first unwatched episode, for serialized shows
+    RANDOM: 'random', // Any unwatched episode, for anthologies and procedurals
+    RANDOM_SEASON: 'randomSeason' // Any unwatched episode of the current season
+};
+
+// Reasons offered when skipping an episode (stored by key)
+const SKIP_REASONS = {
+    mood: 'Not in the mood',
+    unavailable: 'Not available',
+    tooLong: 'Too long'
 };
 
 // ============================================
@@ -45,10 +91,58 @@ const STREAMING_SERVICES = [
     { id: 'tubi', name: 'Tubi', color: '#FA382F' },
     { id: 'pluto', name: 'Pluto TV', color: '#000000' },
     { id: 'crunchyroll', name: 'Crunchyroll', color: '#F47521' },
+    { id: 'youtube', name: 'YouTube', color: '#FF0000' },
+    { id: 'googleplay', name: 'Google Play', color: '#01875F' },
+    { id: 'crave', name: 'Crave', color: '#00A3E0' },
+    { id: 'bbc', name: 'BBC iPlayer', color: '#F54997' },
+    { id: 'itvx', name: 'ITVX', color: '#102C3D' },
+    { id: 'channel4', name: 'Channel 4', color: '#3C3C3C' },
+    { id: 'nowtv', name: 'NOW', color: '#21C57E' },
+    { id: 'sky', name: 'Sky Go', color: '#0072C9' },
+    { id: 'britbox', name: 'BritBox', color: '#1D2E5C' },
+    { id: 'stan', name: 'Stan', color: '#0072FF' },
+    { id: 'binge', name: 'Binge', color: '#5E2CED' },
+    { id: 'foxtel', name: 'Foxtel Now', color: '#F26522' },
     { id: 'network', name: 'Network TV', color: '#666666' },
     { id: 'cable', name: 'Cable TV', color: '#666666' }
 ];
 
+// How a service offers a show (stored per service in show.streamingCategories), best first
+const PROVIDER_CATEGORIES = {
+    SUBSCRIPTION: 'subscription',
+    FREE: 'free',
+    ADS: 'ads', // Free with ads, or a cheaper ad-supported tier
+    RENT: 'rent',
+    BUY: 'buy'
+};
+
+const PROVIDER_CATEGORY_LABELS = {
+    subscription: 'Subscription',
+    free: 'Free',
+    ads: 'With ads',
+    rent: 'Rent',
+    buy: 'Buy'
+};
+
+// Countries streaming availability can be looked up for (TMDB/JustWatch region codes)
+const STREAMING_REGIONS = [
+    { code: 'US', name: 'United States' },
+    { code: 'CA', name: 'Canada' },
+    { code: 'GB', name: 'United Kingdom' },
+    { code: 'IE', name: 'Ireland' },
+    { code: 'AU', name: 'Australia' },
+    { code: 'NZ', name: 'New Zealand' },
+    { code: 'DE', name: 'Germany' },
+    { code: 'FR', name: 'France' },
+    { code: 'ES', name: 'Spain' },
+    { code: 'IT', name: 'Italy' },
+    { code: 'NL', name: 'Netherlands' },
+    { code: 'SE', name: 'Sweden' },
+    { code: 'IN', name: 'India' },
+    { code: 'BR', name: 'Brazil' },
+    { code: 'MX', name: 'Mexico' }
+];
+
 /**
  * Get all streaming services (built-in + custom)
  * @returns {Array} Combined array of all services
@@ -101,20 +195,28 @@ function deleteCustomService(serviceId) {
 // ============================================
 
 /**
- * Get all shows from localStorage
+ * Load stored data into memory (migrating legacy localStorage data if needed)
+ * @returns {Promise<void>}
+ */
+async function initStorage() {
+    await STORAGE_ENGINE.init();
+    migrateStoredData();
+}
+
+/**
+ * Get all shows
  * @returns {Array} Array of show objects
  */
 function getShows() {
-    const data = localStorage.getItem(STORAGE_KEYS.SHOWS);
-    return data ? JSON.parse(data) : [];
+    return cloneData(STORAGE_ENGINE.cache.shows);
 }
 
 /**
- * Save shows array to localStorage
+ * Replace the entire shows array
  * @param {Array} shows - Array of show objects
  */
 function saveShows(shows) {
-    localStorage.setItem(STORAGE_KEYS.SHOWS, JSON.stringify(shows));
+    STORAGE_ENGINE.replaceShows(cloneData(shows));
 }
 
 /**
@@ -123,8 +225,8 @@ function saveShows(shows) {
  * @returns {Object|null} The show object or null if not found
  */
 function getShowById(showId) {
-    const shows = getShows();
-    return shows.find(show => show.id === showId) || null;
+    const show = STORAGE_ENGINE.cache.shows.find(show => show.id === showId);
+    return show ? cloneData(show) : null;
 }
 
 /**
@@ -133,27 +235,45 @@ function getShowById(showId) {
  * @returns {Object} The created show with generated ID
  */
 function addShow(show) {
-    const shows = getShows();
-    const newShow = {
+    const newShow = applyWatchOrder({
         id: generateId(),
         title: show.title,
         network: show.network || null, // Original network (e.g., "AMC")
         webChannel: show.webChannel || null, // Streaming platform (e.g., "Netflix")
         streamingServices: show.streamingServices || [], // Where it's available to stream
         streamingLinks: show.streamingLinks || {}, // Deep links to streaming services
-        episodes: show.episodes.map((ep, index) => ({
+        streamingCategories: show.streamingCategories || {}, // How each service offers it, e.g. { prime: ['rent', 'buy'] }
+        streamingRegion: show.streamingRegion || null, // Region the availability was looked up for (e.g. "US")
+        genres: show.genres || [], // e.g. ["Comedy", "Drama"]
+        status: show.status || null, // Airing status from TVMaze (e.g. "Running", "Ended")
+        premiereYear: show.premiereYear || null,
+        tvmazeId: show.tvmazeId || null,
+        imdbId: show.imdbId || null, // e.g. "tt0903747"
+        tmdbId: show.tmdbId || null,
+        episodes: show.episodes.map(ep => ({
             id: generateId(),
             season: ep.season,
             episodeNumber: ep.episodeNumber,
             title: ep.title || `Episode ${ep.episodeNumber}`,
             runtime: ep.runtime,
-            watched: false,
-            order: index // Preserves the intended watch order
+            watched: false, // Watched during the current pass
+            watchCount: 0, // Times watched across all passes
+            order: null // Position in the active watch order (set by applyWatchOrder)
         })),
+        priority: show.priority || DEFAULT_SHOW_PRIORITY, // Picking weight, 1-5
+        watchStatus: SHOW_STATUSES.BACKLOG, // Lifecycle status (see SHOW_STATUSES)
+        snoozedUntil: null, // ISO date the picker may choose this show again
+        neverAutoPick: false, // Leave out of Randomize and Couch Potato entirely
+        episodeOrder: EPISODE_ORDERS.SEQUENTIAL, // Which unwatched episode plays next
+        watchOrders: [], // Custom watch orders: { id, name, episodeIds }
+        activeWatchOrderId: null, // Watch order the picker follows (null = aired order)
+        currentPass: 1, // 1 = first watch, 2 = rewatch #2, ...
+        passStartedAt: new Date().toISOString(),
+        pastPasses: [], // Earlier passes: { pass, startedAt, endedAt, watched, total }
+        skips: [], // Skipped episodes: { id, episodeId, skippedAt, reason }
         createdAt: new Date().toISOString()
-    };
-    shows.push(newShow);
-    saveShows(shows);
+    });
+    STORAGE_ENGINE.putShow(cloneData(newShow));
     return newShow;
 }
 
@@ -163,11 +283,19 @@ function addShow(show) {
  * @param {Object} updates - Partial show object with updates
  */
 function updateShow(showId, updates) {
-    const shows = getShows();
-    const index = shows.findIndex(show => show.id === showId);
-    if (index !== -1) {
-        shows[index] = { ...shows[index], ...updates };
-        saveShows(shows);
+    const show = getShowById(showId);
+    if (show) {
+        const updatedShow = { ...show, ...cloneData(updates) };
+
+        // Only rewrite episode records when the episodes themselves changed
+        if ('episodes' in updates) {
+            STORAGE_ENGINE.putShow(updatedShow);
+        } else {
+            STORAGE_ENGINE.putShowRecord(updatedShow);
+        }
+
+        const { undo, redo } = getShowChangeOps(show, updatedShow);
+        recordAction(`Updated ${show.title}`, undo, redo, { showId });
     }
 }
 
@@ -176,9 +304,28 @@ function updateShow(showId, updates) {
  * @param {string} showId - The show's ID to delete
  */
 function deleteShow(showId) {
-    const shows = getShows();
-    const filtered = shows.filter(show => show.id !== showId);
-    saveShows(filtered);
+    const show = getShowById(showId);
+    if (!show) return;
+
+    const sortIndex = STORAGE_ENGINE.showOrder[showId];
+    STORAGE_ENGINE.deleteShow(showId);
+    const undoOps = [{ type: 'putShow', show, sortIndex }];
+    const redoOps = [{ type: 'deleteShow', showId }];
+
+    // Take the show out of its franchise too
+    const franchise = getShowFranchise(showId);
+    if (franchise) {
+        const updatedFranchise = {
+            ...franchise,
+            showIds: franchise.showIds.filter(id => id !== showId),
+            watchOrder: franchise.watchOrder.filter(item => item.showId !== showId)
+        };
+        STORAGE_ENGINE.putFranchise(cloneData(updatedFranchise));
+        undoOps.push({ type: 'putFranchise', franchise });
+        redoOps.push({ type: 'putFranchise', franchise: updatedFranchise });
+    }
+
+    recordAction(`Deleted ${show.title}`, undoOps, redoOps, { showId });
 }
 
 /**
@@ -188,22 +335,872 @@ function deleteShow(showId) {
  * @param {boolean} watched - Watched status
  */
 function setEpisodeWatched(showId, episodeId, watched) {
-    const shows = getShows();
-    const show = shows.find(s => s.id === showId);
+    const show = getShowById(showId);
     if (show) {
         const episode = show.episodes.find(ep => ep.id === episodeId);
         if (episode) {
+            const previousEpisode = { ...episode };
+
+            // Unchecking only takes back a watch from the current pass
+            if (watched && !episode.watched) {
+                episode.watchCount = (episode.watchCount || 0) + 1;
+            } else if (!watched && episode.watched) {
+                episode.watchCount = Math.max(0, (episode.watchCount || 0) - 1);
+            }
             episode.watched = watched;
-            saveShows(shows);
+            // Only the changed episode record is written
+            STORAGE_ENGINE.putEpisode(showId, episode);
+
+            const undoOps = [{ type: 'putEpisode', showId, episode: previousEpisode }];
+            const redoOps = [{ type: 'putEpisode', showId, episode }];
+
+            // The first watched episode starts the show, the last one completes it
+            const previousStatus = show.watchStatus;
+            const status = getAutoStatus(show);
+            if (status !== previousStatus) {
+                STORAGE_ENGINE.putShowRecord(cloneData({ ...getShowById(showId), watchStatus: status }));
+                undoOps.push({ type: 'updateShowFields', showId, fields: { watchStatus: previousStatus } });
+                redoOps.push({ type: 'updateShowFields', showId, fields: { watchStatus: status } });
+            }
 
             // Add to history if marking as watched
             if (watched) {
-                addToHistory(show, episode);
+                const entry = addToHistory(show, episode);
+                undoOps.push({ type: 'deleteHistory', entryId: entry.id });
+                redoOps.push({ type: 'addHistory', entry });
             }
+
+            const code = formatEpisodeCode(episode.season, episode.episodeNumber);
+            recordAction(
+                `Marked ${show.title} ${code} as ${watched ? 'watched' : 'unwatched'}`,
+                undoOps,
+                redoOps,
+                { showId, episodeId, watched }
+            );
         }
     }
 }
 
+/**
+ * Work out a show's status from its episodes: backlog shows move to watching once
+ * an episode is watched, any show is completed once every episode is, and a completed
+ * show goes back to watching when it has unwatched episodes again (e.g. a new pass).
+ * Paused and dropped shows otherwise keep their status.
+ * @param {Object} show - Show object with its current episodes
+ * @returns {string} One of SHOW_STATUSES
+ */
+function getAutoStatus(show) {
+    const status = show.watchStatus || SHOW_STATUSES.BACKLOG;
+    const { watched, total } = calculateShowProgress(show);
+
+    if (total > 0 && watched === total) {
+        return SHOW_STATUSES.COMPLETED;
+    }
+    if (status === SHOW_STATUSES.COMPLETED) {
+        return SHOW_STATUSES.WATCHING;
+    }
+    if (status === SHOW_STATUSES.BACKLOG && watched > 0) {
+        return SHOW_STATUSES.WATCHING;
+    }
+    return status;
+}
+
+/**
+ * Record a rewatch of an already-watched episode (from rewatch mode)
+ * @param {string} showId - The show's ID
+ * @param {string} episodeId - The episode's ID
+ */
+function recordRewatch(showId, episodeId) {
+    const show = getShowById(showId);
+    if (!show) return;
+
+    const episode = show.episodes.find(ep => ep.id === episodeId);
+    if (!episode) return;
+
+    const previousEpisode = { ...episode };
+    episode.watched = true;
+    episode.watchCount = (episode.watchCount || 0) + 1;
+    STORAGE_ENGINE.putEpisode(showId, episode);
+
+    const entry = addToHistory(show, episode);
+
+    recordAction(
+        `Rewatched ${show.title} ${formatEpisodeCode(episode.season, episode.episodeNumber)}`,
+        [
+            { type: 'putEpisode', showId, episode: previousEpisode },
+            { type: 'deleteHistory', entryId: entry.id }
+        ],
+        [
+            { type: 'putEpisode', showId, episode },
+            { type: 'addHistory', entry }
+        ],
+        { showId, episodeId, watched: true }
+    );
+}
+
+/**
+ * Record that an episode was skipped
+ * @param {string} showId - The show's ID
+ * @param {string} episodeId - The episode's ID
+ * @param {string|null} reason - One of the SKIP_REASONS keys, or null
+ * @returns {Object|null} The skip record, or null if the show was not found
+ */
+function recordSkip(showId, episodeId, reason = null) {
+    const show = getShowById(showId);
+    if (!show) return null;
+
+    const episode = show.episodes.find(ep => ep.id === episodeId);
+    const skip = {
+        id: generateId(),
+        episodeId,
+        skippedAt: new Date().toISOString(),
+        reason
+    };
+    const skips = [...(show.skips || []), skip];
+    STORAGE_ENGINE.putShowRecord(cloneData({ ...show, skips }));
+
+    recordAction(
+        `Skipped ${show.title}${episode ? ' ' + formatEpisodeCode(episode.season, episode.episodeNumber) : ''}`,
+        [{ type: 'updateShowFields', showId, fields: { skips: show.skips || [] } }],
+        [{ type: 'updateShowFields', showId, fields: { skips } }],
+        { showId, episodeId, skipped: true }
+    );
+    return skip;
+}
+
+/**
+ * Snooze a show so the picker leaves it out until a date
+ * @param {string} showId - The show's ID
+ * @param {string|null} until - ISO date the show can be picked again, or null to end the snooze
+ */
+function snoozeShow(showId, until) {
+    const show = getShowById(showId);
+    if (!show) return;
+
+    STORAGE_ENGINE.putShowRecord(cloneData({ ...show, snoozedUntil: until }));
+
+    recordAction(
+        until ? `Snoozed ${show.title} until ${new Date(until).toLocaleDateString()}` : `Ended snooze of ${show.title}`,
+        [{ type: 'updateShowFields', showId, fields: { snoozedUntil: show.snoozedUntil || null } }],
+        [{ type: 'updateShowFields', showId, fields: { snoozedUntil: until } }],
+        { showId }
+    );
+}
+
+/**
+ * Set whether the picker may ever choose a show on its own
+ * @param {string} showId - The show's ID
+ * @param {boolean} neverAutoPick - True to leave the show out of Randomize and Couch Potato
+ */
+function setNeverAutoPick(showId, neverAutoPick) {
+    const show = getShowById(showId);
+    if (!show) return;
+
+    STORAGE_ENGINE.putShowRecord(cloneData({ ...show, neverAutoPick }));
+
+    recordAction(
+        neverAutoPick ? `Stopped picking ${show.title}` : `Picking ${show.title} again`,
+        [{ type: 'updateShowFields', showId, fields: { neverAutoPick: !!show.neverAutoPick } }],
+        [{ type: 'updateShowFields', showId, fields: { neverAutoPick } }],
+        { showId }
+    );
+}
+
+/**
+ * Start a new rewatch pass for a show.
+ * Resets watched flags for the new pass; watch counts and earlier passes are kept.
+ * @param {string} showId - The show's ID
+ * @returns {Object|null} The updated show, or null if not found
+ */
+function startNewPass(showId) {
+    const show = getShowById(showId);
+    if (!show) return null;
+
+    const progress = calculateShowProgress(show);
+    const updatedShow = {
+        ...show,
+        currentPass: (show.currentPass || 1) + 1,
+        passStartedAt: new Date().toISOString(),
+        pastPasses: [
+            ...(show.pastPasses || []),
+            {
+                pass: show.currentPass || 1,
+                startedAt: show.passStartedAt || show.createdAt || null,
+                endedAt: new Date().toISOString(),
+                watched: progress.watched,
+                total: progress.total
+            }
+        ],
+        episodes: show.episodes.map(ep => ({ ...ep, watched: false }))
+    };
+    updatedShow.watchStatus = getAutoStatus(updatedShow);
+
+    STORAGE_ENGINE.putShow(cloneData(updatedShow));
+
+    const { undo, redo } = getShowChangeOps(show, updatedShow);
+    recordAction(`Started ${formatPassLabel(updatedShow.currentPass)} of ${show.title}`, undo, redo, { showId });
+
+    return updatedShow;
+}
+
+// ============================================
+// WATCH ORDERS
+// ============================================
+
+/**
+ * Get a show's episode IDs in one of its watch orders. Episodes a custom order
+ * doesn't list yet (e.g. ones added later) follow at the end in aired order.
+ * @param {Object} show - Show object
+ * @param {string|null} orderId - Custom watch order ID, or null for aired order
+ * @returns {Array} Episode IDs in watch order
+ */
+function getWatchOrderEpisodeIds(show, orderId) {
+    const aired = sortEpisodesBySeason(show.episodes).map(ep => ep.id);
+    const order = (show.watchOrders || []).find(o => o.id === orderId);
+    if (!order) return aired;
+
+    const listed = order.episodeIds.filter(id => aired.includes(id));
+    return [...listed, ...aired.filter(id => !listed.includes(id))];
+}
+
+/**
+ * Number a show's episodes by its active watch order, which is what the picker follows
+ * @param {Object} show - Show object
+ * @returns {Object} New show object with each episode's order set
+ */
+function applyWatchOrder(show) {
+    const ids = getWatchOrderEpisodeIds(show, show.activeWatchOrderId);
+    return {
+        ...show,
+        episodes: show.episodes.map(ep => ({ ...ep, order: ids.indexOf(ep.id) }))
+    };
+}
+
+/**
+ * Save a change to a show's watch orders, renumbering its episodes and recording it for undo
+ * @param {Object} show - The show before the change
+ * @param {Object} updatedShow - The show after the change
+ * @param {string} label - Undo label
+ * @returns {Object} The saved show
+ */
+function saveWatchOrderChange(show, updatedShow, label) {
+    const orderedShow = applyWatchOrder(updatedShow);
+    STORAGE_ENGINE.putShow(cloneData(orderedShow));
+
+    // Episode order follows from the watch orders, so only the orders themselves are journaled
+    const { undo, redo } = getShowChangeOps(show, updatedShow);
+    recordAction(
+        label,
+        [...undo, { type: 'applyWatchOrder', showId: show.id }],
+        [...redo, { type: 'applyWatchOrder', showId: show.id }],
+        { showId: show.id }
+    );
+    return orderedShow;
+}
+
+/**
+ * Make the picker follow one of a show's watch orders
+ * @param {string} showId - The show's ID
+ * @param {string|null} orderId - Custom watch order ID, or null for aired order
+ * @returns {Object|null} The updated show, or null if not found
+ */
+function setActiveWatchOrder(showId, orderId) {
+    const show = getShowById(showId);
+    if (!show) return null;
+
+    const order = (show.watchOrders || []).find(o => o.id === orderId);
+    return saveWatchOrderChange(
+        show,
+        { ...show, activeWatchOrderId: order ? order.id : null },
+        `Switched ${show.title} to ${order ? order.name : 'aired order'}`
+    );
+}
+
+/**
+ * Add a named watch order to a show, starting from its current order, and make it active
+ * @param {string} showId - The show's ID
+ * @param {string} name - Name of the order (e.g. "DVD order")
+ * @returns {Object|null} The new watch order, or null if the show was not found
+ */
+function addWatchOrder(showId, name) {
+    const show = getShowById(showId);
+    if (!show) return null;
+
+    const order = {
+        id: generateId(),
+        name,
+        episodeIds: getWatchOrderEpisodeIds(show, show.activeWatchOrderId)
+    };
+    saveWatchOrderChange(
+        show,
+        { ...show, watchOrders: [...(show.watchOrders || []), order], activeWatchOrderId: order.id },
+        `Added ${name} to ${show.title}`
+    );
+    return order;
+}
+
+/**
+ * Replace the episodes of a custom watch order
+ * @param {string} showId - The show's ID
+ * @param {string} orderId - Watch order ID
+ * @param {Array} episodeIds - Episode IDs in the new order
+ * @returns {Object|null} The updated show, or null if the show or order was not found
+ */
+function updateWatchOrder(showId, orderId, episodeIds) {
+    const show = getShowById(showId);
+    const order = show && (show.watchOrders || []).find(o => o.id === orderId);
+    if (!order) return null;
+
+    return saveWatchOrderChange(
+        show,
+        {
+            ...show,
+            watchOrders: show.watchOrders.map(o => o.id === orderId ? { ...o, episodeIds: [...episodeIds] } : o)
+        },
+        `Reordered ${order.name} of ${show.title}`
+    );
+}
+
+/**
+ * Delete a custom watch order (the show goes back to aired order if it was active)
+ * @param {string} showId - The show's ID
+ * @param {string} orderId - Watch order ID
+ * @returns {Object|null} The updated show, or null if the show or order was not found
+ */
+function deleteWatchOrder(showId, orderId) {
+    const show = getShowById(showId);
+    const order = show && (show.watchOrders || []).find(o => o.id === orderId);
+    if (!order) return null;
+
+    return saveWatchOrderChange(
+        show,
+        {
+            ...show,
+            watchOrders: show.watchOrders.filter(o => o.id !== orderId),
+            activeWatchOrderId: show.activeWatchOrderId === orderId ? null : show.activeWatchOrderId
+        },
+        `Deleted ${order.name} of ${show.title}`
+    );
+}
+
+/**
+ * Read a pasted watch order, one episode per line: an episode code ("S01E05", "1x05")
+ * or an episode title. Lines can have other text after the code (e.g. "S01E05 - Pilot").
+ * @param {Object} show - Show object
+ * @param {string} text - Pasted text
+ * @returns {Object} { episodeIds, unmatched } where unmatched lists the lines that matched no episode
+ */
+function parseWatchOrder(show, text) {
+    const episodeIds = [];
+    const unmatched = [];
+
+    text.split('\n').map(line => line.trim()).filter(Boolean).forEach(line => {
+        const code = line.match(/^s?(\d+)\s*[ex]\s*(\d+)\b/i);
+        const title = line.toLowerCase();
+        const episode = code
+            ? show.episodes.find(ep => ep.season === parseInt(code[1]) && ep.episodeNumber === parseInt(code[2]))
+            : show.episodes.find(ep => (ep.title || '').toLowerCase() === title);
+
+        if (!episode) {
+            unmatched.push(line);
+        } else if (!episodeIds.includes(episode.id)) {
+            episodeIds.push(episode.id);
+        }
+    });
+
+    return { episodeIds, unmatched };
+}
+
+// ============================================
+// REFRESHING FROM TVMAZE
+// ============================================
+
+// TVMaze status of shows that can still get new episodes
+const RUNNING_SHOW_STATUS = 'Running';
+
+/**
+ * Get the shows a bulk refresh should re-fetch: shows from TVMaze that are running,
+ * or whose status isn't known yet (added before it was stored; the refresh fills it in)
+ * @param {Array} shows - Array of show objects
+ * @returns {Array} Shows to refresh
+ */
+function getRefreshableShows(shows) {
+    return shows.filter(show => show.tvmazeId && (!show.status || show.status === RUNNING_SHOW_STATUS));
+}
+
+/**
+ * Merge freshly fetched TVMaze details into a show. Episodes are matched by season
+ * and episode number, so they keep their IDs and watched state; new episodes are
+ * appended and changed titles and runtimes are updated. Episodes TVMaze no longer
+ * lists are kept, and streaming services are only ever added to.
+ * @param {Object} show - Show object
+ * @param {Object} details - Show details from TV_API.getShowDetails
+ * @returns {Object} { show, added, updated } with the merged show and episode counts
+ */
+function mergeShowDetails(show, details) {
+    let added = 0;
+    let updated = 0;
+
+    const episodes = show.episodes.map(ep => ({ ...ep }));
+    details.episodes.forEach(fetched => {
+        const existing = episodes.find(ep =>
+            ep.season === fetched.season && ep.episodeNumber === fetched.episodeNumber
+        );
+
+        if (!existing) {
+            episodes.push({
+                id: generateId(),
+                season: fetched.season,
+                episodeNumber: fetched.episodeNumber,
+                title: fetched.title || `Episode ${fetched.episodeNumber}`,
+                runtime: fetched.runtime,
+                watched: false,
+                watchCount: 0,
+                order: null
+            });
+            added++;
+        } else if (existing.title !== fetched.title || existing.runtime !== fetched.runtime) {
+            existing.title = fetched.title;
+            existing.runtime = fetched.runtime;
+            updated++;
+        }
+    });
+
+    const merged = applyWatchOrder({
+        ...show,
+        network: details.network || show.network || null,
+        webChannel: details.webChannel || show.webChannel || null,
+        ...mergeStreamingAvailability(show, {
+            region: details.streamingRegion,
+            serviceIds: details.streamingServices,
+            streamingLinks: details.streamingLinks,
+            streamingCategories: details.streamingCategories
+        }),
+        genres: details.genres?.length ? details.genres : (show.genres || []),
+        status: details.status || show.status || null,
+        premiereYear: details.premiereYear || show.premiereYear || null,
+        tvmazeId: details.id || show.tvmazeId,
+        imdbId: details.imdbId || show.imdbId || null,
+        tmdbId: details.tmdbId || show.tmdbId || null,
+        episodes
+    });
+    // New episodes take a completed show back to watching
+    merged.watchStatus = getAutoStatus(merged);
+
+    return { show: merged, added, updated };
+}
+
+/**
+ * Work out a show's streaming fields from freshly looked up availability. Availability
+ * for the region the show was last looked up in is added to what the show has (keeping
+ * services picked by hand); availability for another region replaces it.
+ * @param {Object} show - Show object
+ * @param {Object} availability - { region, serviceIds, streamingLinks, streamingCategories }, where
+ *     region is null if the lookup failed
+ * @returns {Object} The show's new streamingServices, streamingLinks, streamingCategories and streamingRegion
+ */
+function mergeStreamingAvailability(show, availability) {
+    const { region, serviceIds = [], streamingLinks = {}, streamingCategories = {} } = availability;
+    const current = {
+        streamingServices: show.streamingServices || [],
+        streamingLinks: show.streamingLinks || {},
+        streamingCategories: show.streamingCategories || {},
+        streamingRegion: show.streamingRegion || null
+    };
+
+    if (!region) {
+        return current;
+    }
+    if (region !== current.streamingRegion) {
+        return {
+            streamingServices: [...serviceIds],
+            streamingLinks: { ...streamingLinks },
+            streamingCategories: { ...streamingCategories },
+            streamingRegion: region
+        };
+    }
+    return {
+        streamingServices: [...new Set([...current.streamingServices, ...serviceIds])],
+        streamingLinks: { ...current.streamingLinks, ...streamingLinks },
+        streamingCategories: { ...current.streamingCategories, ...streamingCategories },
+        streamingRegion: region
+    };
+}
+
+/**
+ * Save re-checked streaming availability for one or more shows as a single undoable action
+ * @param {Array} checks - { showId, availability } for each checked show (see mergeStreamingAvailability)
+ * @returns {number} Number of shows whose availability changed
+ */
+function updateStreamingAvailability(checks) {
+    const undoOps = [];
+    const redoOps = [];
+    const changedShows = [];
+
+    checks.forEach(({ showId, availability }) => {
+        const show = getShowById(showId);
+        if (!show) return;
+
+        const updatedShow = { ...show, ...mergeStreamingAvailability(show, availability) };
+        if (JSON.stringify(updatedShow) === JSON.stringify(show)) return;
+
+        STORAGE_ENGINE.putShowRecord(cloneData(updatedShow));
+        const { undo, redo } = getShowChangeOps(show, updatedShow);
+        undoOps.push(...undo);
+        redoOps.push(...redo);
+        changedShows.push(show);
+    });
+
+    if (changedShows.length > 0) {
+        recordAction(
+            changedShows.length === 1
+                ? `Re-checked streaming for ${changedShows[0].title}`
+                : `Re-checked streaming for ${changedShows.length} shows`,
+            undoOps,
+            redoOps,
+            changedShows.length === 1 ? { showId: changedShows[0].id } : {}
+        );
+    }
+    return changedShows.length;
+}
+
+/**
+ * Save refreshed TVMaze details for one or more shows as a single undoable action.
+ * Shows the refresh left unchanged are not written.
+ * @param {Array} refreshes - { showId, details } for each fetched show
+ * @returns {Array} { showId, title, added, updated } for each show that was found
+ */
+function refreshShows(refreshes) {
+    const undoOps = [];
+    const redoOps = [];
+    const results = [];
+    const changedShows = [];
+
+    refreshes.forEach(({ showId, details }) => {
+        const show = getShowById(showId);
+        if (!show) return;
+
+        const { show: merged, added, updated } = mergeShowDetails(show, details);
+        results.push({ showId, title: show.title, added, updated });
+        if (JSON.stringify(merged) === JSON.stringify(show)) return;
+
+        STORAGE_ENGINE.putShow(cloneData(merged));
+        const { undo, redo } = getShowChangeOps(show, merged);
+        undoOps.push(...undo);
+        redoOps.push(...redo);
+        changedShows.push(show);
+    });
+
+    if (changedShows.length > 0) {
+        recordAction(
+            changedShows.length === 1 ? `Refreshed ${changedShows[0].title}` : `Refreshed ${changedShows.length} shows`,
+            undoOps,
+            redoOps,
+            changedShows.length === 1 ? { showId: changedShows[0].id } : {}
+        );
+    }
+    return results;
+}
+
+// ============================================
+// DUPLICATE SHOWS
+// ============================================
+
+// Provider IDs that identify a show, most trusted first
+const SHOW_PROVIDER_IDS = ['tvmazeId', 'imdbId', 'tmdbId'];
+
+/**
+ * Check whether two shows are the same show. The first provider ID both shows have
+ * decides, so different shows that share a title are kept apart; shows without an ID
+ * in common (e.g. added by hand) are compared by title.
+ * @param {Object} a - Show object
+ * @param {Object} b - Show object
+ * @returns {boolean}
+ */
+function isSameShow(a, b) {
+    const key = SHOW_PROVIDER_IDS.find(id => a[id] && b[id]);
+    if (key) {
+        return a[key] === b[key];
+    }
+    return a.title.trim().toLowerCase() === b.title.trim().toLowerCase();
+}
+
+/**
+ * Find a saved show that is the same as the given one. A show with the same ID
+ * (e.g. from a backup of this library) always counts as the same.
+ * @param {Object} show - Show (or show data being added) with a title and any provider IDs
+ * @param {Array} shows - Shows to look in (defaults to all saved shows)
+ * @returns {Object|null} The matching show or null
+ */
+function findDuplicateShow(show, shows = getShows()) {
+    return shows.find(existing => existing !== show && (existing.id === show.id || isSameShow(existing, show))) || null;
+}
+
+/**
+ * Point a history entry of a merged duplicate at the show it was merged into
+ * @param {Object} entry - History entry
+ * @param {string|undefined} fromShowId - ID of the duplicate that was merged away
+ * @param {Object} show - The show it was merged into
+ * @returns {Object} The entry, moved over if it belonged to the duplicate
+ */
+function remapHistoryEntry(entry, fromShowId, show) {
+    if (!fromShowId || entry.showId !== fromShowId) return entry;
+    const episode = show.episodes.find(ep =>
+        ep.season === entry.season && ep.episodeNumber === entry.episodeNumber
+    );
+    return { ...entry, showId: show.id, episodeId: episode ? episode.id : entry.episodeId };
+}
+
+/**
+ * Point an imported franchise's shows and watch order at the shows they were merged into.
+ * Watch order episodes the show they were merged into doesn't have (yet) are left out.
+ * @param {Object} franchise - Imported franchise
+ * @param {Array} moves - { fromShow, toShow } for each imported show merged into another
+ * @returns {Object} The remapped franchise
+ */
+function remapFranchiseShows(franchise, moves) {
+    const findMove = showId => moves.find(move => move.fromShow.id === showId);
+
+    const watchOrder = [];
+    franchise.watchOrder.forEach(ref => {
+        const move = findMove(ref.showId);
+        let moved = ref;
+        if (move) {
+            const from = move.fromShow.episodes.find(ep => ep.id === ref.episodeId);
+            const episode = from && move.toShow.episodes.find(ep =>
+                ep.season === from.season && ep.episodeNumber === from.episodeNumber
+            );
+            moved = episode ? { showId: move.toShow.id, episodeId: episode.id } : null;
+        }
+        if (moved && !watchOrder.some(r => r.showId === moved.showId && r.episodeId === moved.episodeId)) {
+            watchOrder.push(moved);
+        }
+    });
+
+    return {
+        ...franchise,
+        showIds: [...new Set(franchise.showIds.map(showId => findMove(showId)?.toShow.id || showId))],
+        watchOrder
+    };
+}
+
+/**
+ * Merge another copy of a show into it. Episodes are matched by season and episode
+ * number: an episode watched in either copy stays watched, and episodes only the
+ * other copy has are added with its watched state. Missing provider IDs are filled in.
+ * @param {Object} show - Show to keep
+ * @param {Object} other - Duplicate show (or show data being added)
+ * @returns {Object} The merged show
+ */
+function mergeShowProgress(show, other) {
+    const episodes = show.episodes.map(ep => ({ ...ep }));
+    (other.episodes || []).forEach(otherEp => {
+        const existing = episodes.find(ep =>
+            ep.season === otherEp.season && ep.episodeNumber === otherEp.episodeNumber
+        );
+
+        if (existing) {
+            existing.watched = existing.watched || !!otherEp.watched;
+            existing.watchCount = Math.max(existing.watchCount || 0, otherEp.watchCount || 0);
+        } else {
+            episodes.push({
+                id: generateId(),
+                season: otherEp.season,
+                episodeNumber: otherEp.episodeNumber,
+                title: otherEp.title || `Episode ${otherEp.episodeNumber}`,
+                runtime: otherEp.runtime,
+                watched: !!otherEp.watched,
+                watchCount: otherEp.watchCount || 0,
+                order: null
+            });
+        }
+    });
+
+    const merged = { ...show, episodes };
+    SHOW_PROVIDER_IDS.forEach(key => {
+        merged[key] = show[key] || other[key] || null;
+    });
+
+    const mergedShow = applyWatchOrder(merged);
+    mergedShow.watchStatus = getAutoStatus(mergedShow);
+    return mergedShow;
+}
+
+/**
+ * Merge duplicate copies into saved shows as a single undoable action. History
+ * entries of a saved duplicate are moved over to the show it was merged into.
+ * @param {Array} duplicates - { showId, show } pairs: the saved show's ID and its duplicate
+ * @returns {number} Number of shows merged
+ */
+function mergeDuplicateShows(duplicates) {
+    const undoOps = [];
+    const redoOps = [];
+    const mergedTitles = [];
+    const historyBefore = getHistory();
+    let history = historyBefore;
+
+    duplicates.forEach(({ showId, show: other }) => {
+        const show = getShowById(showId);
+        if (!show) return;
+
+        const merged = mergeShowProgress(show, other);
+        STORAGE_ENGINE.putShow(cloneData(merged));
+        const { undo, redo } = getShowChangeOps(show, merged);
+        undoOps.push(...undo);
+        redoOps.push(...redo);
+        mergedTitles.push(show.title);
+
+        history = history.map(entry => remapHistoryEntry(entry, other.id, merged));
+    });
+
+    if (mergedTitles.length === 0) return 0;
+
+    // Journal just the history entries that moved over
+    const movedEntries = history.filter((entry, index) => entry !== historyBefore[index]);
+    if (movedEntries.length > 0) {
+        saveHistory(history);
+        movedEntries.forEach(entry => {
+            const previous = historyBefore.find(e => e.id === entry.id);
+            undoOps.push({ type: 'deleteHistory', entryId: entry.id }, { type: 'addHistory', entry: previous });
+            redoOps.push({ type: 'deleteHistory', entryId: entry.id }, { type: 'addHistory', entry });
+        });
+    }
+
+    recordAction(
+        mergedTitles.length === 1 ? `Merged duplicate of ${mergedTitles[0]}` : `Merged ${mergedTitles.length} duplicate shows`,
+        undoOps,
+        redoOps
+    );
+    return mergedTitles.length;
+}
+
+// ============================================
+// FRANCHISE FUNCTIONS
+// ============================================
+
+/**
+ * Get all franchises
+ * @returns {Array} Array of franchise objects
+ */
+function getFranchises() {
+    return cloneData(STORAGE_ENGINE.cache.franchises);
+}
+
+/**
+ * Get a franchise by ID
+ * @param {string} franchiseId - The franchise's ID
+ * @returns {Object|null} Franchise object or null if not found
+ */
+function getFranchiseById(franchiseId) {
+    const franchise = STORAGE_ENGINE.cache.franchises.find(franchise => franchise.id === franchiseId);
+    return franchise ? cloneData(franchise) : null;
+}
+
+/**
+ * Get the franchise a show belongs to
+ * @param {string} showId - The show's ID
+ * @returns {Object|null} Franchise object or null
+ */
+function getShowFranchise(showId) {
+    return getFranchises().find(franchise => franchise.showIds.includes(showId)) || null;
+}
+
+/**
+ * Add a franchise: several shows watched as one, following a merged watch order
+ * @param {string} name - Franchise name (e.g. "Arrowverse")
+ * @param {Array} showIds - IDs of the member shows
+ * @returns {Object} The new franchise
+ */
+function addFranchise(name, showIds = []) {
+    const franchise = {
+        id: generateId(),
+        name,
+        showIds: [...showIds],
+        watchOrder: [], // Merged order: { showId, episodeId } (see getFranchiseEpisodes)
+        createdAt: new Date().toISOString()
+    };
+    STORAGE_ENGINE.putFranchise(cloneData(franchise));
+
+    recordAction(
+        `Added ${name}`,
+        [{ type: 'deleteFranchise', franchiseId: franchise.id }],
+        [{ type: 'putFranchise', franchise }]
+    );
+    return franchise;
+}
+
+/**
+ * Update a franchise
+ * @param {string} franchiseId - The franchise's ID
+ * @param {Object} updates - Partial franchise object with updates
+ * @returns {Object|null} The updated franchise, or null if not found
+ */
+function updateFranchise(franchiseId, updates) {
+    const franchise = getFranchiseById(franchiseId);
+    if (!franchise) return null;
+
+    const updatedFranchise = { ...franchise, ...cloneData(updates) };
+    STORAGE_ENGINE.putFranchise(updatedFranchise);
+
+    recordAction(
+        `Updated ${franchise.name}`,
+        [{ type: 'putFranchise', franchise }],
+        [{ type: 'putFranchise', franchise: updatedFranchise }]
+    );
+    return updatedFranchise;
+}
+
+/**
+ * Delete a franchise. Its shows are kept and go back to being picked on their own.
+ * @param {string} franchiseId - The franchise's ID
+ */
+function deleteFranchise(franchiseId) {
+    const franchise = getFranchiseById(franchiseId);
+    if (!franchise) return;
+
+    STORAGE_ENGINE.deleteFranchise(franchiseId);
+
+    recordAction(
+        `Deleted ${franchise.name}`,
+        [{ type: 'putFranchise', franchise }],
+        [{ type: 'deleteFranchise', franchiseId }]
+    );
+}
+
+/**
+ * Read a pasted franchise watch order, one episode per line: the show title followed by
+ * an episode code (e.g. "The Flash S01E08" or "Arrow 3x08"). Text after the code is ignored.
+ * @param {Object} franchise - Franchise object
+ * @param {Array} shows - Array of show objects
+ * @param {string} text - Pasted text
+ * @returns {Object} { watchOrder, unmatched } where unmatched lists the lines that matched no episode
+ */
+function parseFranchiseWatchOrder(franchise, shows, text) {
+    const members = franchise.showIds
+        .map(id => shows.find(show => show.id === id))
+        .filter(Boolean)
+        // Longest titles first, so "Star Trek: Discovery" wins over "Star Trek"
+        .sort((a, b) => b.title.length - a.title.length);
+    const watchOrder = [];
+    const unmatched = [];
+
+    text.split('\n').map(line => line.trim()).filter(Boolean).forEach(line => {
+        const show = members.find(m => line.toLowerCase().startsWith(m.title.toLowerCase()));
+        const code = show && line.slice(show.title.length).match(/^[\s:-]*s?(\d+)\s*[ex]\s*(\d+)\b/i);
+        const episode = code && show.episodes.find(ep =>
+            ep.season === parseInt(code[1]) && ep.episodeNumber === parseInt(code[2])
+        );
+
+        if (!episode) {
+            unmatched.push(line);
+        } else if (!watchOrder.some(ref => ref.episodeId === episode.id)) {
+            watchOrder.push({ showId: show.id, episodeId: episode.id });
+        }
+    });
+
+    return { watchOrder, unmatched };
+}
+
 // ============================================
 // HISTORY FUNCTIONS
 // ============================================
@@ -213,18 +1210,25 @@ function setEpisodeWatched(showId, episodeId, watched) {
  * @returns {Array} Array of history entries (newest first)
  */
 function getHistory() {
-    const data = localStorage.getItem(STORAGE_KEYS.HISTORY);
-    return data ? JSON.parse(data) : [];
+    return cloneData(STORAGE_ENGINE.cache.history);
+}
+
+/**
+ * Replace the entire watch history
+ * @param {Array} history - Array of history entries (newest first)
+ */
+function saveHistory(history) {
+    STORAGE_ENGINE.replaceHistory(cloneData(history));
 }
 
 /**
  * Add an episode to watch history
  * @param {Object} show - The show object
  * @param {Object} episode - The episode object
+ * @returns {Object} The created history entry
  */
 function addToHistory(show, episode) {
-    const history = getHistory();
-    history.unshift({
+    const entry = {
         id: generateId(),
         showId: show.id,
         showTitle: show.title,
@@ -233,16 +1237,25 @@ function addToHistory(show, episode) {
         episodeNumber: episode.episodeNumber,
         episodeTitle: episode.title,
         runtime: episode.runtime,
+        pass: show.currentPass || 1,
         watchedAt: new Date().toISOString()
-    });
-    localStorage.setItem(STORAGE_KEYS.HISTORY, JSON.stringify(history));
+    };
+    STORAGE_ENGINE.addHistoryEntry(cloneData(entry));
+    return entry;
 }
 
 /**
  * Clear all watch history
  */
 function clearHistory() {
-    localStorage.setItem(STORAGE_KEYS.HISTORY, JSON.stringify([]));
+    const history = getHistory();
+    saveHistory([]);
+
+    recordAction(
+        'Cleared watch history',
+        [{ type: 'replaceHistory', history }],
+        [{ type: 'replaceHistory', history: [] }]
+    );
 }
 
 // ============================================
@@ -254,8 +1267,8 @@ function clearHistory() {
  * @returns {Object} Settings object
  */
 function getSettings() {
-    const data = localStorage.getItem(STORAGE_KEYS.SETTINGS);
-    return data ? JSON.parse(data) : { ...DEFAULT_SETTINGS };
+    const settings = STORAGE_ENGINE.cache.settings;
+    return settings ? cloneData(settings) : { ...DEFAULT_SETTINGS };
 }
 
 /**
@@ -265,7 +1278,549 @@ function getSettings() {
 function updateSettings(updates) {
     const settings = getSettings();
     const newSettings = { ...settings, ...updates };
-    localStorage.setItem(STORAGE_KEYS.SETTINGS, JSON.stringify(newSettings));
+    STORAGE_ENGINE.putSettings(cloneData(newSettings));
+}
+
+// ============================================
+// COUCH POTATO SESSION
+// ============================================
+
+// Meta key the active Couch Potato session is saved under
+const COUCH_POTATO_SESSION_KEY = 'couchPotatoSession';
+
+/**
+ * Get the saved Couch Potato session
+ * @returns {Object|null} { queue, index, startedAt, watching, savedAt } or null if none.
+ *   Skipped items are flagged with `skipped` on the queue items themselves.
+ */
+function getCouchPotatoSession() {
+    const session = STORAGE_ENGINE.cache.meta[COUCH_POTATO_SESSION_KEY];
+    return session ? cloneData(session) : null;
+}
+
+/**
+ * Save the active Couch Potato session so it survives reloads
+ * @param {Object} session - { queue, index, startedAt, watching }
+ */
+function saveCouchPotatoSession(session) {
+    STORAGE_ENGINE.putMeta(COUCH_POTATO_SESSION_KEY, cloneData({
+        ...session,
+        savedAt: new Date().toISOString()
+    }));
+}
+
+/**
+ * Forget the saved Couch Potato session
+ */
+function clearCouchPotatoSession() {
+    STORAGE_ENGINE.putMeta(COUCH_POTATO_SESSION_KEY, null);
+}
+
+// ============================================
+// SCHEMA & MIGRATIONS
+// ============================================
+
+// Version of the stored data and backup file format.
+// Bump this and add a step to SCHEMA_MIGRATIONS whenever the data model changes.
+const CURRENT_SCHEMA_VERSION = 13;
+
+/**
+ * Ordered migration steps. Each step upgrades data from (version - 1) to version.
+ * Steps receive { shows?, history?, settings? } and must leave missing sections alone,
+ * since backups may only contain some of them.
+ */
+const SCHEMA_MIGRATIONS = [
+    {
+        version: 2,
+        description: 'Fill in show, episode and settings fields added after the first release',
+        migrate(data) {
+            if (Array.isArray(data.shows)) {
+                data.shows = data.shows.map(show => ({
+                    ...show,
+                    network: show.network || null,
+                    webChannel: show.webChannel || null,
+                    streamingServices: show.streamingServices || [],
+                    streamingLinks: show.streamingLinks || {},
+                    episodes: Array.isArray(show.episodes)
+                        ? show.episodes.map((ep, index) => ({
+                            ...ep,
+                            watched: !!ep.watched,
+                            order: typeof ep.order === 'number' ? ep.order : index
+                        }))
+                        : show.episodes
+                }));
+            }
+            if (data.settings && typeof data.settings === 'object') {
+                data.settings = { ...DEFAULT_SETTINGS, ...data.settings };
+            }
+            return data;
+        }
+    },
+    {
+        version: 3,
+        description: 'Track watch counts per episode and rewatch passes per show',
+        migrate(data) {
+            if (Array.isArray(data.shows)) {
+                data.shows = data.shows.map(show => ({
+                    ...show,
+                    currentPass: show.currentPass || 1,
+                    passStartedAt: show.passStartedAt || show.createdAt || null,
+                    pastPasses: show.pastPasses || [],
+                    episodes: Array.isArray(show.episodes)
+                        ? show.episodes.map(ep => ({
+                            ...ep,
+                            watchCount: typeof ep.watchCount === 'number' ? ep.watchCount : (ep.watched ? 1 : 0)
+                        }))
+                        : show.episodes
+                }));
+            }
+            return data;
+        }
+    },
+    {
+        version: 4,
+        description: 'Add a picking priority to every show',
+        migrate(data) {
+            if (Array.isArray(data.shows)) {
+                data.shows = data.shows.map(show => ({
+                    ...show,
+                    priority: show.priority || DEFAULT_SHOW_PRIORITY
+                }));
+            }
+            return data;
+        }
+    },
+    {
+        version: 5,
+        description: 'Store genres, airing status, premiere year and TVMaze ID on shows',
+        migrate(data) {
+            if (Array.isArray(data.shows)) {
+                data.shows = data.shows.map(show => ({
+                    ...show,
+                    genres: show.genres || [],
+                    status: show.status || null,
+                    premiereYear: show.premiereYear || null,
+                    tvmazeId: show.tvmazeId || null
+                }));
+            }
+            if (data.settings && typeof data.settings === 'object') {
+                data.settings = {
+                    ...data.settings,
+                    genreFilter: data.settings.genreFilter || { ...DEFAULT_SETTINGS.genreFilter }
+                };
+            }
+            return data;
+        }
+    },
+    {
+        version: 6,
+        description: 'Track skipped episodes on shows',
+        migrate(data) {
+            if (Array.isArray(data.shows)) {
+                data.shows = data.shows.map(show => ({
+                    ...show,
+                    skips: show.skips || []
+                }));
+            }
+            return data;
+        }
+    },
+    {
+        version: 7,
+        description: 'Add show lifecycle statuses, derived from watch progress',
+        migrate(data) {
+            if (Array.isArray(data.shows)) {
+                data.shows = data.shows.map(show => {
+                    if (show.watchStatus) return show;
+                    const episodes = Array.isArray(show.episodes) ? show.episodes : [];
+                    const watched = episodes.filter(ep => ep.watched).length;
+                    const watchStatus = watched === 0 ? SHOW_STATUSES.BACKLOG
+                        : watched === episodes.length ? SHOW_STATUSES.COMPLETED
+                        : SHOW_STATUSES.WATCHING;
+                    return { ...show, watchStatus };
+                });
+            }
+            if (data.settings && typeof data.settings === 'object') {
+                data.settings = {
+                    ...data.settings,
+                    excludedStatuses: data.settings.excludedStatuses || [...DEFAULT_SETTINGS.excludedStatuses]
+                };
+            }
+            return data;
+        }
+    },
+    {
+        version: 8,
+        description: 'Add show snoozes and the never auto-pick flag',
+        migrate(data) {
+            if (Array.isArray(data.shows)) {
+                data.shows = data.shows.map(show => ({
+                    ...show,
+                    snoozedUntil: show.snoozedUntil || null,
+                    neverAutoPick: !!show.neverAutoPick
+                }));
+            }
+            return data;
+        }
+    },
+    {
+        version: 9,
+        description: 'Add per-show episode order',
+        migrate(data) {
+            if (Array.isArray(data.shows)) {
+                data.shows = data.shows.map(show => ({
+                    ...show,
+                    episodeOrder: show.episodeOrder || EPISODE_ORDERS.SEQUENTIAL
+                }));
+            }
+            return data;
+        }
+    },
+    {
+        version: 10,
+        description: 'Add named watch orders; number episodes by aired order, which the picker used until now',
+        migrate(data) {
+            if (Array.isArray(data.shows)) {
+                data.shows = data.shows.map(show => {
+                    const migrated = {
+                        ...show,
+                        watchOrders: show.watchOrders || [],
+                        activeWatchOrderId: show.activeWatchOrderId || null
+                    };
+                    return Array.isArray(show.episodes) ? applyWatchOrder(migrated) : migrated;
+                });
+            }
+            return data;
+        }
+    },
+    {
+        version: 11,
+        description: 'Store IMDb and TMDB IDs on shows',
+        migrate(data) {
+            if (Array.isArray(data.shows)) {
+                data.shows = data.shows.map(show => ({
+                    ...show,
+                    imdbId: show.imdbId || null,
+                    tmdbId: show.tmdbId || null
+                }));
+            }
+            return data;
+        }
+    },
+    {
+        version: 12,
+        description: 'Add a streaming region and provider categories; record how each service offers a show',
+        migrate(data) {
+            if (Array.isArray(data.shows)) {
+                data.shows = data.shows.map(show => ({
+                    ...show,
+                    streamingCategories: show.streamingCategories || {}
+                }));
+            }
+            if (data.settings && typeof data.settings === 'object') {
+                data.settings = {
+                    ...data.settings,
+                    streamingRegion: data.settings.streamingRegion || DEFAULT_SETTINGS.streamingRegion,
+                    providerCategories: data.settings.providerCategories || [...DEFAULT_SETTINGS.providerCategories]
+                };
+            }
+            return data;
+        }
+    },
+    {
+        version: 13,
+        description: 'Record the region each show\'s streaming availability was looked up for',
+        migrate(data) {
+            if (Array.isArray(data.shows)) {
+                data.shows = data.shows.map(show => ({
+                    ...show,
+                    // Unknown for existing shows, so the next lookup replaces their availability
+                    streamingRegion: show.streamingRegion || null
+                }));
+            }
+            return data;
+        }
+    }
+];
+
+/**
+ * Upgrade data to the current schema version by running each pending migration in order
+ * @param {Object} data - Object with optional shows, history and settings
+ * @param {number} fromVersion - Schema version the data was written with
+ * @returns {Object} The migrated data
+ */
+function migrateData(data, fromVersion) {
+    return SCHEMA_MIGRATIONS
+        .filter(step => step.version > fromVersion && step.version <= CURRENT_SCHEMA_VERSION)
+        .sort((a, b) => a.version - b.version)
+        .reduce((migrated, step) => step.migrate(migrated), cloneData(data));
+}
+
+/**
+ * Upgrade stored data to the current schema version (runs once per version bump).
+ * The undo journal is cleared, since its ops hold records in the old schema.
+ */
+function migrateStoredData() {
+    const storedVersion = STORAGE_ENGINE.cache.meta.schemaVersion || 1;
+
+    if (storedVersion > CURRENT_SCHEMA_VERSION) {
+        console.warn(`Stored data is schema version ${storedVersion}, newer than this app (${CURRENT_SCHEMA_VERSION})`);
+        return;
+    }
+    if (storedVersion === CURRENT_SCHEMA_VERSION) {
+        return;
+    }
+
+    const migrated = migrateData({
+        shows: getShows(),
+        history: getHistory(),
+        settings: STORAGE_ENGINE.cache.settings
+    }, storedVersion);
+
+    // Stored records are never dropped here, only reported
+    const report = validateData(migrated);
+    if (report.rejected.length > 0) {
+        console.warn('Stored data has invalid records:', report.rejected);
+    }
+
+    saveShows(migrated.shows);
+    saveHistory(migrated.history);
+    if (migrated.settings) {
+        STORAGE_ENGINE.putSettings(migrated.settings);
+    }
+    STORAGE_ENGINE.putMeta('schemaVersion', CURRENT_SCHEMA_VERSION);
+
+    // Undoing an old entry would write its unmigrated records straight back
+    STORAGE_ENGINE.deleteJournalEntries(STORAGE_ENGINE.cache.journal.map(entry => entry.id));
+}
+
+/**
+ * Validate a show record (after migration)
+ * @param {Object} show - Show object to validate
+ * @returns {Object} Object with isValid boolean and errors array
+ */
+function validateShow(show) {
+    const errors = [];
+
+    if (!show || typeof show !== 'object') {
+        return { isValid: false, errors: ['Show is not an object'] };
+    }
+    if (typeof show.id !== 'string' || !show.id) {
+        errors.push('Missing show ID');
+    }
+    if (typeof show.title !== 'string' || !show.title.trim()) {
+        errors.push('Missing show title');
+    }
+    if (!Number.isInteger(show.currentPass) || show.currentPass < 1) {
+        errors.push('Current pass must be a positive number');
+    }
+    if (!Number.isInteger(show.priority) || show.priority < 1 || show.priority > 5) {
+        errors.push('Priority must be between 1 and 5');
+    }
+    if (!Array.isArray(show.genres)) {
+        errors.push('Genres must be a list');
+    }
+    if (!show.streamingCategories || typeof show.streamingCategories !== 'object' || Array.isArray(show.streamingCategories)) {
+        errors.push('Streaming categories must be an object');
+    }
+    if (show.streamingRegion !== null && !STREAMING_REGIONS.some(region => region.code === show.streamingRegion)) {
+        errors.push('Streaming region must be one of: ' + STREAMING_REGIONS.map(region => region.code).join(', '));
+    }
+    if (show.tvmazeId !== null && !Number.isInteger(show.tvmazeId)) {
+        errors.push('TVMaze ID must be a number');
+    }
+    if (show.imdbId !== null && typeof show.imdbId !== 'string') {
+        errors.push('IMDb ID must be text');
+    }
+    if (show.tmdbId !== null && !Number.isInteger(show.tmdbId)) {
+        errors.push('TMDB ID must be a number');
+    }
+    if (!Array.isArray(show.skips)) {
+        errors.push('Skips must be a list');
+    }
+    if (!Object.values(SHOW_STATUSES).includes(show.watchStatus)) {
+        errors.push('Status must be one of: ' + Object.values(SHOW_STATUSES).join(', '));
+    }
+    if (show.snoozedUntil !== null && isNaN(new Date(show.snoozedUntil).getTime())) {
+        errors.push('Snoozed until must be a date');
+    }
+    if (typeof show.neverAutoPick !== 'boolean') {
+        errors.push('Never auto-pick must be true or false');
+    }
+    if (!Object.values(EPISODE_ORDERS).includes(show.episodeOrder)) {
+        errors.push('Episode order must be one of: ' + Object.values(EPISODE_ORDERS).join(', '));
+    }
+    if (!Array.isArray(show.watchOrders)) {
+        errors.push('Watch orders must be a list');
+    } else if (show.activeWatchOrderId !== null && !show.watchOrders.some(o => o.id === show.activeWatchOrderId)) {
+        errors.push('Active watch order does not exist');
+    }
+    if (!Array.isArray(show.episodes)) {
+        errors.push('Episodes must be a list');
+    } else {
+        show.episodes.forEach((ep, index) => {
+            const label = ep && ep.season && ep.episodeNumber
+                ? formatEpisodeCode(ep.season, ep.episodeNumber)
+                : `Episode #${index + 1}`;
+            if (!ep || typeof ep.id !== 'string' || !ep.id) {
+                errors.push(`${label}: Missing episode ID`);
+                return;
+            }
+            if (!Number.isInteger(ep.watchCount) || ep.watchCount < 0) {
+                errors.push(`${label}: Watch count must be zero or more`);
+            }
+            validateEpisode(ep).errors.forEach(error => errors.push(`${label}: ${error}`));
+        });
+    }
+
+    return {
+        isValid: errors.length === 0,
+        errors
+    };
+}
+
+/**
+ * Validate a history entry
+ * @param {Object} entry - History entry to validate
+ * @returns {Object} Object with isValid boolean and errors array
+ */
+function validateHistoryEntry(entry) {
+    const errors = [];
+
+    if (!entry || typeof entry !== 'object') {
+        return { isValid: false, errors: ['Entry is not an object'] };
+    }
+    if (typeof entry.id !== 'string' || !entry.id) {
+        errors.push('Missing entry ID');
+    }
+    if (typeof entry.showTitle !== 'string') {
+        errors.push('Missing show title');
+    }
+    if (!entry.watchedAt || isNaN(new Date(entry.watchedAt).getTime())) {
+        errors.push('Invalid watch date');
+    }
+
+    return {
+        isValid: errors.length === 0,
+        errors
+    };
+}
+
+/**
+ * Validate a settings object
+ * @param {Object} settings - Settings to validate
+ * @returns {Object} Object with isValid boolean and errors array
+ */
+function validateSettings(settings) {
+    const errors = [];
+
+    if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+        return { isValid: false, errors: ['Settings is not an object'] };
+    }
+    if (typeof settings.couchPotatoDuration !== 'number' || settings.couchPotatoDuration < 1) {
+        errors.push('Couch Potato duration must be a positive number');
+    }
+    if (!Array.isArray(settings.streamingServices)) {
+        errors.push('Streaming services must be a list');
+    }
+    if (!Array.isArray(settings.customServices)) {
+        errors.push('Custom services must be a list');
+    }
+    if (!STREAMING_REGIONS.some(region => region.code === settings.streamingRegion)) {
+        errors.push('Streaming region must be one of: ' + STREAMING_REGIONS.map(region => region.code).join(', '));
+    }
+    if (!Array.isArray(settings.providerCategories) ||
+        !settings.providerCategories.every(category => Object.values(PROVIDER_CATEGORIES).includes(category))) {
+        errors.push('Provider categories must be a list of: ' + Object.values(PROVIDER_CATEGORIES).join(', '));
+    }
+
+    return {
+        isValid: errors.length === 0,
+        errors
+    };
+}
+
+/**
+ * Validate a franchise
+ * @param {Object} franchise - Franchise object to validate
+ * @returns {Object} Object with isValid boolean and errors array
+ */
+function validateFranchise(franchise) {
+    const errors = [];
+
+    if (!franchise || typeof franchise !== 'object') {
+        return { isValid: false, errors: ['Franchise is not an object'] };
+    }
+    if (typeof franchise.id !== 'string' || !franchise.id) {
+        errors.push('Missing franchise ID');
+    }
+    if (typeof franchise.name !== 'string' || !franchise.name.trim()) {
+        errors.push('Missing franchise name');
+    }
+    if (!Array.isArray(franchise.showIds)) {
+        errors.push('Shows must be a list');
+    }
+    if (!Array.isArray(franchise.watchOrder) ||
+        !franchise.watchOrder.every(ref => ref && typeof ref.showId === 'string' && typeof ref.episodeId === 'string')) {
+        errors.push('Watch order must be a list of show and episode IDs');
+    }
+
+    return {
+        isValid: errors.length === 0,
+        errors
+    };
+}
+
+/**
+ * Split migrated data into valid records and a per-record rejection report
+ * @param {Object} data - Migrated data with optional shows, history, settings and franchises
+ * @returns {Object} { shows, history, settings, franchises, rejected } where rejected is an array
+ *   of { type, index, label, errors }
+ */
+function validateData(data) {
+    const rejected = [];
+    const result = { rejected };
+
+    if (Array.isArray(data.shows)) {
+        result.shows = data.shows.filter((show, index) => {
+            const { isValid, errors } = validateShow(show);
+            if (!isValid) {
+                rejected.push({ type: 'show', index, label: (show && show.title) || `Show #${index + 1}`, errors });
+            }
+            return isValid;
+        });
+    }
+
+    if (Array.isArray(data.history)) {
+        result.history = data.history.filter((entry, index) => {
+            const { isValid, errors } = validateHistoryEntry(entry);
+            if (!isValid) {
+                rejected.push({ type: 'history', index, label: (entry && entry.showTitle) || `Entry #${index + 1}`, errors });
+            }
+            return isValid;
+        });
+    }
+
+    if (data.settings !== undefined && data.settings !== null) {
+        const { isValid, errors } = validateSettings(data.settings);
+        if (isValid) {
+            result.settings = data.settings;
+        } else {
+            rejected.push({ type: 'settings', index: 0, label: 'Settings', errors });
+        }
+    }
+
+    if (Array.isArray(data.franchises)) {
+        result.franchises = data.franchises.filter((franchise, index) => {
+            const { isValid, errors } = validateFranchise(franchise);
+            if (!isValid) {
+                rejected.push({ type: 'franchise', index, label: (franchise && franchise.name) || `Franchise #${index + 1}`, errors });
+            }
+            return isValid;
+        });
+    }
+
+    return result;
 }
 
 // ============================================
@@ -278,82 +1833,170 @@ function updateSettings(updates) {
  */
 function exportAllData() {
     return {
-        version: 1, // For future compatibility
+        version: CURRENT_SCHEMA_VERSION,
         exportedAt: new Date().toISOString(),
         shows: getShows(),
         history: getHistory(),
-        settings: getSettings()
+        settings: getSettings(),
+        franchises: getFranchises()
     };
 }
 
 /**
  * Import app data from a JSON object
+ * Older backups are migrated to the current schema, and invalid records are skipped.
  * @param {Object} data - Previously exported data
  * @param {boolean} merge - If true, merge with existing data; if false, replace
- * @returns {Object} Result with success status and message
+ * @returns {Object} Result with success status, message, rejected records report and, when
+ *     merging, the duplicates of saved shows that were left out ({ showId, show } pairs)
  */
 function importAllData(data, merge = false) {
     try {
         // Validate data structure
         if (!data || typeof data !== 'object') {
-            return { success: false, message: 'Invalid data format' };
+            return { success: false, message: 'Invalid data format', rejected: [] };
         }
 
         // Check for required fields
-        if (!data.shows && !data.history && !data.settings) {
-            return { success: false, message: 'No valid data found in file' };
+        if (!data.shows && !data.history && !data.settings && !data.franchises) {
+            return { success: false, message: 'No valid data found in file', rejected: [] };
+        }
+
+        const version = Number.isInteger(data.version) ? data.version : 1;
+        if (version > CURRENT_SCHEMA_VERSION) {
+            return {
+                success: false,
+                message: `This backup is from a newer version of the app (schema ${version}). Please update first.`,
+                rejected: []
+            };
+        }
+
+        const migrated = migrateData({
+            shows: data.shows,
+            history: data.history,
+            settings: data.settings,
+            franchises: data.franchises
+        }, version);
+        const { shows, history, settings, franchises, rejected } = validateData(migrated);
+
+        if (!shows?.length && !history?.length && !settings && !franchises?.length) {
+            return { success: false, message: 'No valid records found in file', rejected };
         }
 
+        // Snapshot everything so the whole import can be undone in one step
+        const before = {
+            shows: getShows(),
+            history: getHistory(),
+            settings: getSettings(),
+            franchises: getFranchises()
+        };
+
+        const duplicates = [];
+        const newShows = [];
+        const mergedInFile = []; // { show, index } of imported shows merged into newShows[index]
         if (merge) {
             // Merge mode: add to existing data
-            if (data.shows && Array.isArray(data.shows)) {
+            if (shows) {
                 const existingShows = getShows();
-                const existingTitles = existingShows.map(s => s.title.toLowerCase());
 
-                // Only add shows that don't already exist (by title)
-                const newShows = data.shows.filter(s =>
-                    !existingTitles.includes(s.title.toLowerCase())
-                );
+                // Only add shows that don't already exist; report the rest so their
+                // progress can be merged into the saved copy
+                shows.forEach(show => {
+                    const existing = findDuplicateShow(show, existingShows);
+                    if (existing) {
+                        duplicates.push({ showId: existing.id, show });
+                        return;
+                    }
+
+                    // A show that repeats within the file is merged into its first copy
+                    const earlierCopy = findDuplicateShow(show, newShows);
+                    if (earlierCopy) {
+                        const index = newShows.indexOf(earlierCopy);
+                        newShows[index] = mergeShowProgress(earlierCopy, show);
+                        mergedInFile.push({ show, index });
+                    } else {
+                        newShows.push(show);
+                    }
+                });
 
                 saveShows([...existingShows, ...newShows]);
             }
 
-            if (data.history && Array.isArray(data.history)) {
+            if (history) {
                 const existingHistory = getHistory();
                 // Prepend new history, avoiding duplicates by ID
                 const existingIds = existingHistory.map(h => h.id);
-                const newHistory = data.history.filter(h => !existingIds.includes(h.id));
-                localStorage.setItem(STORAGE_KEYS.HISTORY,
-                    JSON.stringify([...newHistory, ...existingHistory])
-                );
+                const newHistory = history
+                    .filter(h => !existingIds.includes(h.id))
+                    .map(entry => mergedInFile.reduce(
+                        (moved, { show, index }) => remapHistoryEntry(moved, show.id, newShows[index]),
+                        entry
+                    ));
+                saveHistory([...newHistory, ...existingHistory]);
             }
 
-            if (data.settings) {
+            if (settings) {
                 const existingSettings = getSettings();
-                updateSettings({ ...existingSettings, ...data.settings });
+                updateSettings({ ...existingSettings, ...settings });
+            }
+
+            if (franchises) {
+                // Imported shows that weren't added were merged into a saved show or an earlier copy
+                const moves = [
+                    ...duplicates.map(({ showId, show }) => ({ fromShow: show, toShow: getShowById(showId) })),
+                    ...mergedInFile.map(({ show, index }) => ({ fromShow: show, toShow: newShows[index] }))
+                ];
+
+                // Add franchises that don't already exist (by ID)
+                const existingIds = getFranchises().map(f => f.id);
+                franchises
+                    .filter(f => !existingIds.includes(f.id))
+                    .forEach(f => STORAGE_ENGINE.putFranchise(cloneData(remapFranchiseShows(f, moves))));
             }
         } else {
             // Replace mode: overwrite existing data
-            if (data.shows && Array.isArray(data.shows)) {
-                saveShows(data.shows);
+            if (shows) {
+                saveShows(shows);
             }
 
-            if (data.history && Array.isArray(data.history)) {
-                localStorage.setItem(STORAGE_KEYS.HISTORY, JSON.stringify(data.history));
+            if (history) {
+                saveHistory(history);
             }
 
-            if (data.settings) {
-                localStorage.setItem(STORAGE_KEYS.SETTINGS, JSON.stringify(data.settings));
+            if (settings) {
+                STORAGE_ENGINE.putSettings(cloneData(settings));
+            }
+
+            if (franchises) {
+                STORAGE_ENGINE.replaceFranchises(cloneData(franchises));
             }
         }
 
-        return {
-            success: true,
-            message: merge ? 'Data merged successfully' : 'Data imported successfully'
-        };
+        recordAction(
+            merge ? 'Merged backup' : 'Imported backup',
+            [
+                { type: 'replaceShows', shows: before.shows },
+                { type: 'replaceHistory', history: before.history },
+                { type: 'replaceSettings', settings: before.settings },
+                { type: 'replaceFranchises', franchises: before.franchises }
+            ],
+            [
+                { type: 'replaceShows', shows: getShows() },
+                { type: 'replaceHistory', history: getHistory() },
+                { type: 'replaceSettings', settings: getSettings() },
+                { type: 'replaceFranchises', franchises: getFranchises() }
+            ]
+        );
+
+        let message = merge ? 'Data merged successfully' : 'Data imported successfully';
+        if (rejected.length > 0) {
+            message += ` (${rejected.length} invalid record${rejected.length === 1 ? '' : 's'} skipped)`;
+        }
+
+        return { success: true, message, rejected, duplicates };
     } catch (error) {
         console.error('Import error:', error);
-        return { success: false, message: 'Failed to import data: ' + error.message };
+        return { success: false, message: 'Failed to import data: ' + error.message, rejected: [] };
     }
 }
 
@@ -382,6 +2025,15 @@ function downloadBackup() {
 // UTILITY FUNCTIONS
 // ============================================
 
+/**
+ * Deep copy plain data so callers can't mutate the in-memory store
+ * @param {*} value - JSON-serializable value
+ * @returns {*} Deep copy of the value
+ */
+function cloneData(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
 /**
  * Generate a unique ID
  * @returns {string} Unique identifier
@@ -404,6 +2056,37 @@ function formatRuntime(minutes) {
     return mins > 0 ? `${hours}h ${mins}m` : `${hours}h`;
 }
 
+/**
+ * Format a time of day (e.g., "11:30 PM")
+ * @param {Date} date - Date to format
+ * @returns {string} Formatted clock time in the user's locale
+ */
+function formatClockTime(date) {
+    return date.toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+}
+
+/**
+ * Format a watch pass number (e.g., "First watch", "Rewatch #2")
+ * @param {number} pass - Pass number (1 = first watch)
+ * @returns {string} Formatted pass label
+ */
+function formatPassLabel(pass) {
+    return pass > 1 ? `Rewatch #${pass}` : 'First watch';
+}
+
+/**
+ * Format a show's genres, premiere year and airing status for display
+ * @param {Object} show - Show object
+ * @returns {string} e.g. "Comedy, Drama · 2005 · Ended", or '' if nothing is known
+ */
+function formatShowMeta(show) {
+    return [
+        (show.genres || []).join(', '),
+        show.premiereYear,
+        show.status
+    ].filter(Boolean).join(' · ');
+}
+
 /**
  * Format episode code (e.g., "S01E05")
  * @param {number} season - Season number
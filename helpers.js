@@ -9,9 +9,94 @@
 // CORE RANDOMIZER FUNCTIONS
 // ============================================
 
+// How the picker treats already-watched episodes
+const REWATCH_MODES = {
+    OFF: 'off', // Unwatched episodes only
+    RANDOM: 'random', // Also any watched episode outside the cooldown window
+    SEQUENTIAL: 'sequential' // Finished shows loop back around in order
+};
+
+// How the picker weighs shows against each other (always multiplied by show priority)
+const PICK_STRATEGIES = {
+    PRIORITY: 'priority', // Priority only (equal priorities = uniform)
+    REMAINING_RUNTIME: 'remainingRuntime', // Favor shows with more unwatched runtime
+    NEAR_COMPLETION: 'nearCompletion', // Favor shows with the fewest episodes left
+    LEAST_RECENT: 'leastRecent' // Favor shows not watched in a while
+};
+
+// Picking weight for each show priority level (1 = lowest, 5 = highest)
+const SHOW_PRIORITY_WEIGHTS = {
+    1: 0.25,
+    2: 0.5,
+    3: 1,
+    4: 2,
+    5: 4
+};
+
+// Cap for the least-recent strategy, in days
+const LEAST_RECENT_MAX_DAYS = 90;
+
+// Skips within this many days make a show less likely to come up
+const SKIP_PENALTY_DAYS = 30;
+
+// Each recent skip multiplies a show's weight by this, down to SKIP_PENALTY_MAX_SKIPS skips
+const SKIP_PENALTY_FACTOR = 0.6;
+const SKIP_PENALTY_MAX_SKIPS = 5;
+
+// How a Couch Potato queue is fitted to its target duration
+const QUEUE_FIT_MODES = {
+    CLOSEST: 'closest', // Land as close to the target as possible, over or under
+    NEVER_EXCEED: 'neverExceed' // Never go past the target
+};
+
+// Random queues tried before settling for the best fit
+const QUEUE_FIT_ATTEMPTS = 40;
+
+// Episodes at least this long count as "long" (dramas) when interleaving queues
+const LONG_EPISODE_MINUTES = 40;
+
+// Snooze lengths offered with one click, in days
+const SNOOZE_OPTIONS = {
+    WEEK: 7,
+    MONTH: 30
+};
+
+/**
+ * Sort episodes into watch order: the show's active watch order (see applyWatchOrder),
+ * or season and episode number for episodes without one
+ *
+ * @param {Array} episodes - Array of episode objects (or queue items)
+ * @returns {Array} New sorted array
+ */
+function sortEpisodesInOrder(episodes) {
+    return [...episodes].sort((a, b) => {
+        if (typeof a.order === 'number' && typeof b.order === 'number') {
+            return a.order - b.order;
+        }
+        return compareBySeason(a, b);
+    });
+}
+
+/**
+ * Sort episodes into aired order (by season, then episode number)
+ *
+ * @param {Array} episodes - Array of episode objects
+ * @returns {Array} New sorted array
+ */
+function sortEpisodesBySeason(episodes) {
+    return [...episodes].sort(compareBySeason);
+}
+
+function compareBySeason(a, b) {
+    if (a.season !== b.season) {
+        return a.season - b.season;
+    }
+    return a.episodeNumber - b.episodeNumber;
+}
+
 /**
  * Get the next unwatched episode for a show
- * Returns the first unwatched episode in order (by season, then episode number)
+ * Returns the first unwatched episode in the show's watch order (see sortEpisodesInOrder)
  *
  * @param {Object} show - Show object with episodes array
  * @returns {Object|null} The next unwatched episode or null if all watched
@@ -21,126 +106,1088 @@ function getNextUnwatchedEpisode(show) {
         return null;
     }
 
-    // Sort episodes by season, then by episode number to get proper order
-    const sortedEpisodes = [...show.episodes].sort((a, b) => {
-        if (a.season !== b.season) {
-            return a.season - b.season;
+    // Find the first unwatched episode
+    return sortEpisodesInOrder(show.episodes).find(ep => !ep.watched) || null;
+}
+
+/**
+ * Get the unwatched episodes that may play next, following the show's episode order
+ * (see EPISODE_ORDERS): the next one in order, any unwatched one, or any unwatched
+ * one from the current season.
+ * A show in a franchise only offers the franchise's next episode, and only when
+ * that episode is its own (see getFranchiseNextEpisode).
+ *
+ * @param {Object} show - Show object with episodes array
+ * @param {Object} options - Picker options (see pickRandomEpisode); franchises are ignored without them
+ * @returns {Array} Unwatched episodes to choose from (empty if all watched)
+ */
+function getNextEpisodeChoices(show, options = {}) {
+    const nextUnwatched = getNextUnwatchedEpisode(show);
+    if (!nextUnwatched) {
+        return [];
+    }
+
+    const franchise = (options.franchises || []).find(f => f.showIds.includes(show.id));
+    if (franchise) {
+        const next = getFranchiseNextEpisode(franchise, options.allShows || [show]);
+        return next && next.show.id === show.id ? [next.episode] : [];
+    }
+
+    switch (show.episodeOrder) {
+        case EPISODE_ORDERS.RANDOM:
+            return show.episodes.filter(ep => !ep.watched);
+        case EPISODE_ORDERS.RANDOM_SEASON:
+            return show.episodes.filter(ep => !ep.watched && ep.season === nextUnwatched.season);
+        default:
+            return [nextUnwatched];
+    }
+}
+
+/**
+ * Get the episodes of a show that the picker may choose from.
+ * Normally that's the next unwatched episode (see getNextEpisodeChoices); rewatch mode adds watched ones.
+ * Episode constraints (e.g. max runtime) are applied to the result.
+ *
+ * @param {Object} show - Show object with episodes array
+ * @param {Object} options - Picker options (see pickRandomEpisode)
+ * @returns {Array} Pickable episodes (empty if none)
+ */
+function getPickableEpisodes(show, options = {}) {
+    return getCandidateEpisodes(show, options).filter(ep =>
+        passesConstraints(ep, options.constraints, 'episode')
+    );
+}
+
+/**
+ * Get the episodes a show would offer before any constraints are applied
+ *
+ * @param {Object} show - Show object with episodes array
+ * @param {Object} options - Picker options (see pickRandomEpisode)
+ * @returns {Array} Candidate episodes (empty if none)
+ */
+function getCandidateEpisodes(show, options = {}) {
+    if (!show || !show.episodes || show.episodes.length === 0) {
+        return [];
+    }
+
+    const nextEpisodes = getNextEpisodeChoices(show, options);
+    const mode = options.rewatchMode || REWATCH_MODES.OFF;
+
+    if (mode === REWATCH_MODES.OFF) {
+        return nextEpisodes;
+    }
+
+    const lastWatchedTimes = options.lastWatchedTimes || getLastWatchedTimes(options.history);
+
+    if (mode === REWATCH_MODES.SEQUENTIAL) {
+        // Finish the current run first, then loop through the show again in order
+        if (getNextUnwatchedEpisode(show)) {
+            return nextEpisodes;
         }
-        return a.episodeNumber - b.episodeNumber;
-    });
+        const episode = getNextRewatchEpisode(show, lastWatchedTimes);
+        return episode ? [episode] : [];
+    }
 
-    // Find the first unwatched episode
-    return sortedEpisodes.find(ep => !ep.watched) || null;
+    // Random rewatch: any watched episode not seen within the cooldown window
+    const now = options.now || Date.now();
+    const cutoff = now - (options.cooldownDays || 0) * 24 * 60 * 60 * 1000;
+    const rewatchable = show.episodes.filter(ep =>
+        ep.watched && !(lastWatchedTimes[ep.id] >= cutoff)
+    );
+
+    return [...nextEpisodes, ...rewatchable];
 }
 
 /**
- * Pick a random show that has unwatched episodes
+ * Pick a random show that has episodes available to pick
+ * (unwatched ones, plus watched ones when rewatch mode is on)
  *
  * @param {Array} shows - Array of show objects
- * @returns {Object|null} A random show with unwatched episodes, or null if none available
+ * @param {Object} options - Picker options (see pickRandomEpisode)
+ * @returns {Object|null} A random show with pickable episodes, or null if none available
  */
-function pickRandomShowWithUnwatchedEpisodes(shows) {
+function pickRandomShowWithUnwatchedEpisodes(shows, options = {}) {
     if (!shows || shows.length === 0) {
         return null;
     }
 
-    // Filter to only shows that have at least one unwatched episode
+    // Filter to only shows that may be picked, match the constraints and have at least one pickable episode
+    const now = options.now || Date.now();
     const showsWithUnwatched = shows.filter(show => {
-        return show.episodes && show.episodes.some(ep => !ep.watched);
+        return isShowAutoPickable(show, now) &&
+            passesConstraints(show, options.constraints, 'show') &&
+            getPickableEpisodes(show, options).length > 0;
     });
 
     if (showsWithUnwatched.length === 0) {
         return null;
     }
 
-    // Pick a random show from the filtered list
-    const randomIndex = Math.floor(Math.random() * showsWithUnwatched.length);
-    return showsWithUnwatched[randomIndex];
+    // Pick a show from the filtered list, weighted by priority and strategy
+    return pickWeightedItem(showsWithUnwatched, show => getShowPickWeight(show, options));
 }
 
 /**
  * Pick a random episode using the combined logic:
- * 1. Pick a random show with unwatched episodes
- * 2. Get the next unwatched episode from that show
+ * 1. Pick a random show with pickable episodes
+ * 2. Get the next unwatched episode from that show (or a rewatch, in rewatch mode)
  *
  * @param {Array} shows - Array of show objects
- * @returns {Object|null} Object with { show, episode } or null if none available
+ * @param {Object} options - Picker options
+ * @param {string} options.rewatchMode - One of REWATCH_MODES (default: off)
+ * @param {number} options.cooldownDays - Random rewatch skips episodes seen within this many days
+ * @param {Array} options.history - Watch history, used for cooldowns, rewatch order and recency
+ * @param {string} options.strategy - One of PICK_STRATEGIES (default: priority only)
+ * @param {Object} options.constraints - Optional filters (see PICK_CONSTRAINTS)
+ * @param {number} options.now - Current time in ms, for cooldowns and snoozes (default: Date.now())
+ * @param {Array} options.continueShowIds - Continue-watching mode: serve these shows in order instead
+ *   (see pickContinueEpisode)
+ * @param {Array} options.franchises - Franchises whose shows follow a merged watch order
+ * @param {Array} options.allShows - Every show, for the franchise orders (default: shows)
+ * @returns {Object|null} Object with { show, episode, isRewatch } or null if none available
  */
-function pickRandomEpisode(shows) {
-    const show = pickRandomShowWithUnwatchedEpisodes(shows);
+function pickRandomEpisode(shows, options = {}) {
+    if (options.continueShowIds?.length) {
+        return pickContinueEpisode(shows, options.continueShowIds, options);
+    }
+
+    // Build the history lookups once for every show we look at
+    const pickerOptions = {
+        ...options,
+        allShows: options.allShows || shows,
+        lastWatchedTimes: options.lastWatchedTimes || getLastWatchedTimes(options.history),
+        lastShowWatchTimes: options.lastShowWatchTimes || getLastShowWatchTimes(options.history)
+    };
+
+    const show = pickRandomShowWithUnwatchedEpisodes(shows, pickerOptions);
     if (!show) {
         return null;
     }
 
-    const episode = getNextUnwatchedEpisode(show);
-    if (!episode) {
+    const episodes = getPickableEpisodes(show, pickerOptions);
+    if (episodes.length === 0) {
         return null;
     }
 
-    return { show, episode };
+    const episode = episodes[Math.floor(Math.random() * episodes.length)];
+    return { show, episode, isRewatch: !!episode.watched };
+}
+
+/**
+ * Pick the next episode in continue-watching mode: no random show, just the next
+ * unwatched episode of the first chosen show that has one left (picked at random
+ * only if the show's episode order says so, see getNextEpisodeChoices).
+ * The shows were chosen by hand, so snoozes, franchises, show constraints and rewatch
+ * mode don't apply; episode constraints still do (the queue fits runtimes with them).
+ *
+ * @param {Array} shows - Array of show objects
+ * @param {Array} showIds - IDs of the shows to continue, in the order to watch them
+ * @param {Object} options - Picker options (see pickRandomEpisode)
+ * @returns {Object|null} Object with { show, episode, isRewatch } or null if none available
+ */
+function pickContinueEpisode(shows, showIds, options = {}) {
+    for (const showId of showIds) {
+        const show = shows.find(s => s.id === showId);
+        const episodes = show ? getNextEpisodeChoices(show).filter(ep =>
+            passesConstraints(ep, options.constraints, 'episode')
+        ) : [];
+        if (episodes.length > 0) {
+            const episode = episodes[Math.floor(Math.random() * episodes.length)];
+            return { show, episode, isRewatch: false };
+        }
+    }
+    return null;
 }
 
 /**
  * Generate a Couch Potato Mode queue
- * Builds a watch queue by repeatedly picking random shows and their next episodes
- * until the target duration is reached
+ * Builds random queues (each show still plays its next episode in order) and keeps
+ * the first one that lands within the tolerance of the target duration, or the
+ * closest one if none does
  *
  * @param {number} minutesGoal - Target duration in minutes
  * @param {Array} shows - Array of show objects (optional, will fetch from storage if not provided)
- * @returns {Object} Queue object with episodes array and total runtime
+ * @param {Object} options - Picker options (see pickRandomEpisode), plus:
+ * @param {string} options.fitMode - One of QUEUE_FIT_MODES (default: closest)
+ * @param {number} options.tolerance - Minutes over or under the target that count as a fit
+ * @param {Object} options.composition - Queue composition rules (see pickComposedEpisode)
+ * @param {Array} options.pinned - Pinned queue items to keep, as { index, item } in queue order
+ * @param {number} options.breakMinutes - Break between episodes, counted toward the target
+ * @returns {Object} Queue object with episodes array, total runtime, total time (with breaks)
+ *   and difference from the target
  */
-function generateCouchPotatoQueue(minutesGoal, shows = null) {
+function generateCouchPotatoQueue(minutesGoal, shows = null, options = {}) {
     // Get shows if not provided
     const allShows = shows || getShows();
+    const fitMode = options.fitMode || QUEUE_FIT_MODES.CLOSEST;
+    const tolerance = Math.max(0, options.tolerance ?? 0);
+    const pinned = options.pinned || [];
 
-    // Create a deep copy so we can track "virtual" watched status
-    // without modifying the actual data
-    const showsCopy = JSON.parse(JSON.stringify(allShows));
+    let best = null;
+    for (let attempt = 0; attempt < QUEUE_FIT_ATTEMPTS; attempt++) {
+        const queue = buildQueueAttempt(minutesGoal, allShows, options, fitMode, tolerance);
+        const miss = Math.abs(minutesGoal - queue.totalTime);
+
+        if (!best || miss < best.miss) {
+            best = { ...queue, miss };
+        }
+        // Continue-watching mode builds the same queue every time
+        if (miss <= tolerance || options.continueShowIds?.length) {
+            break;
+        }
+    }
 
-    const queue = [];
-    let totalRuntime = 0;
+    // Pinned items were queued first; move them back to the slots they were pinned in
+    const episodes = best.episodes.slice(pinned.length);
+    pinned.forEach(({ index }, i) => {
+        episodes.splice(Math.min(index, episodes.length), 0, best.episodes[i]);
+    });
+
+    return {
+        episodes: keepQueueEpisodeOrder(episodes),
+        totalRuntime: best.totalRuntime,
+        totalTime: best.totalTime,
+        targetRuntime: minutesGoal,
+        difference: best.totalTime - minutesGoal, // Negative = under the target
+        breakMinutes: options.breakMinutes || 0,
+        fitMode,
+        tolerance
+    };
+}
+
+/**
+ * Build one random queue for generateCouchPotatoQueue
+ * Starts from the pinned items, then only picks episodes that still fit: up to the
+ * target in never-exceed mode, or up to the target plus the tolerance in closest-fit mode
+ *
+ * @param {number} minutesGoal - Target duration in minutes
+ * @param {Array} shows - Array of show objects
+ * @param {Object} options - Picker options (see generateCouchPotatoQueue)
+ * @param {string} fitMode - One of QUEUE_FIT_MODES
+ * @param {number} tolerance - Minutes the closest fit may run over
+ * @returns {Object} { episodes, totalRuntime, totalTime }
+ */
+function buildQueueAttempt(minutesGoal, shows, options, fitMode, tolerance) {
+    const queue = (options.pinned || []).map(({ item }) => ({ ...item }));
+    const { showsCopy, pickerOptions } = createQueueState(shows, queue, options);
+    const overrun = fitMode === QUEUE_FIT_MODES.NEVER_EXCEED ? 0 : tolerance;
+    const breakMinutes = options.breakMinutes || 0;
+    let totalTime = getQueueDuration(queue, breakMinutes);
+
+    // Keep adding episodes that fit until we reach the goal
+    // or until nothing fits anymore
+    // Continue-watching mode plays the chosen shows in order, so composition rules don't apply
+    const rules = options.continueShowIds?.length ? {} : options.composition || {};
+    while (totalTime < minutesGoal) {
+        // The next episode comes after a break, unless it's the first
+        const gap = queue.length > 0 ? breakMinutes : 0;
+        const room = minutesGoal - totalTime - gap + overrun;
+        if (room <= 0) {
+            break;
+        }
+        const constraints = { ...options.constraints };
+        constraints.maxRuntime = constraints.maxRuntime ? Math.min(constraints.maxRuntime, room) : room;
 
-    // Keep adding episodes until we reach or exceed the goal
-    // or until there are no more unwatched episodes
-    while (totalRuntime < minutesGoal) {
-        const result = pickRandomEpisode(showsCopy);
+        let result = pickComposedEpisode(showsCopy, pickerOptions, constraints, rules, queue);
+        let isLast = false;
+
+        if (!result && fitMode === QUEUE_FIT_MODES.CLOSEST) {
+            // Nothing fits, but one longer episode may still land closer than stopping short
+            const remaining = minutesGoal - totalTime;
+            result = pickComposedEpisode(showsCopy, pickerOptions, options.constraints || {}, rules, queue);
+            if (result && gap + result.episode.runtime - remaining >= remaining) {
+                result = null;
+            }
+            isLast = true;
+        }
 
         if (!result) {
-            // No more unwatched episodes available
+            // No more episodes that fit
+            break;
+        }
+
+        const item = createQueueItem(result);
+        queue.push(item);
+        totalTime += gap + item.runtime;
+        markQueuedAsWatched(showsCopy, pickerOptions, item, queue.length);
+
+        if (isLast) {
             break;
         }
+    }
+
+    return {
+        episodes: queue,
+        totalRuntime: queue.reduce((sum, item) => sum + item.runtime, 0),
+        totalTime
+    };
+}
+
+/**
+ * Get how long a queue takes to watch, including the breaks between episodes
+ *
+ * @param {Array} queue - Queue items
+ * @param {number} breakMinutes - Break between episodes in minutes
+ * @returns {number} Minutes
+ */
+function getQueueDuration(queue, breakMinutes = 0) {
+    const runtime = queue.reduce((sum, item) => sum + item.runtime, 0);
+    return runtime + Math.max(0, queue.length - 1) * breakMinutes;
+}
+
+/**
+ * Get the next time the clock reads the given time of day
+ *
+ * @param {string} time - Time of day as "HH:MM" (e.g. "23:30")
+ * @param {Date} now - Current time (default: now)
+ * @returns {Date} Today at that time, or tomorrow if it has already passed
+ */
+function getNextClockTime(time, now = new Date()) {
+    const [hours, minutes] = time.split(':').map(Number);
+    const date = new Date(now);
+    date.setHours(hours, minutes, 0, 0);
+    if (date <= now) {
+        date.setDate(date.getDate() + 1);
+    }
+    return date;
+}
+
+// A time of day that passed less than this long ago was most likely meant for today
+const CLOCK_TIME_JUST_PASSED_MINUTES = 3 * 60;
+
+/**
+ * Check whether a time of day has just passed (including earlier this minute), so
+ * getNextClockTime rolls it over to tomorrow although it was likely meant for today
+ *
+ * @param {string} time - Time of day as "HH:MM"
+ * @param {Date} now - Current time (default: now)
+ * @returns {boolean} True if the time passed within CLOCK_TIME_JUST_PASSED_MINUTES
+ */
+function hasClockTimeJustPassed(time, now = new Date()) {
+    const minutesUntil = (getNextClockTime(time, now) - now) / (60 * 1000);
+    return minutesUntil > 24 * 60 - CLOCK_TIME_JUST_PASSED_MINUTES;
+}
+
+/**
+ * Set up the "virtual" picker state for building or editing a queue:
+ * a copy of the shows and history lookups where every queued item counts as watched
+ *
+ * @param {Array} shows - Array of show objects
+ * @param {Array} queue - Queue items already in the queue
+ * @param {Object} options - Picker options (see pickRandomEpisode)
+ * @returns {Object} { showsCopy, pickerOptions }
+ */
+function createQueueState(shows, queue, options) {
+    // Create a deep copy so we can track "virtual" watched status
+    // without modifying the actual data
+    const showsCopy = JSON.parse(JSON.stringify(shows));
+
+    // Queued episodes count as just watched, so rewatch mode won't repeat them
+    // and sequential rewatches move on to the following episode
+    const pickerOptions = {
+        ...options,
+        allShows: showsCopy,
+        now: Date.now(),
+        lastWatchedTimes: { ...getLastWatchedTimes(options.history) },
+        lastShowWatchTimes: { ...getLastShowWatchTimes(options.history) }
+    };
+
+    queue.forEach((item, index) => markQueuedAsWatched(showsCopy, pickerOptions, item, index + 1));
+    return { showsCopy, pickerOptions };
+}
+
+/**
+ * Count a queued item as watched in the virtual picker state
+ * @param {Array} showsCopy - Virtual copy of the shows
+ * @param {Object} pickerOptions - Virtual picker options with history lookups
+ * @param {Object} item - Queue item
+ * @param {number} position - 1-based queue position (later items count as more recent)
+ */
+function markQueuedAsWatched(showsCopy, pickerOptions, item, position) {
+    pickerOptions.lastWatchedTimes[item.episodeId] = pickerOptions.now + position;
+    pickerOptions.lastShowWatchTimes[item.showId] = pickerOptions.now + position;
+
+    // Mark as watched in our copy so we don't pick it again
+    const showInCopy = showsCopy.find(s => s.id === item.showId);
+    if (showInCopy) {
+        const epInCopy = showInCopy.episodes.find(e => e.id === item.episodeId);
+        if (epInCopy) {
+            epInCopy.watched = true;
+        }
+    }
+}
+
+/**
+ * Turn a picker result into a queue item
+ * @param {Object} result - { show, episode, isRewatch } from pickRandomEpisode
+ * @returns {Object} Queue item
+ */
+function createQueueItem({ show, episode, isRewatch }) {
+    const episodeOrder = show.episodeOrder || EPISODE_ORDERS.SEQUENTIAL;
+    return {
+        showId: show.id,
+        showTitle: show.title,
+        episodeId: episode.id,
+        season: episode.season,
+        episodeNumber: episode.episodeNumber,
+        episodeTitle: episode.title,
+        runtime: episode.runtime,
+        order: episode.order, // Position in the show's watch order
+        isRewatch,
+        anyOrder: episodeOrder !== EPISODE_ORDERS.SEQUENTIAL, // Random episode order, not kept in watch order
+        pinned: false, // Pinned items survive a rebuild
+        watched: false // Track if watched during this session
+    };
+}
+
+/**
+ * Pick the next queue episode, following the composition rules where possible.
+ * Continuing the current block comes first; a new block then tries the strictest
+ * rules and relaxes the soft ones (distinct shows, then interleaving, then
+ * back-to-back) one at a time when nothing matches. The per-show cap is never relaxed.
+ *
+ * @param {Array} shows - Array of show objects
+ * @param {Object} pickerOptions - Picker options (see pickRandomEpisode)
+ * @param {Object} constraints - Pick constraints for this slot (see PICK_CONSTRAINTS)
+ * @param {Object} rules - Composition rules (all optional):
+ *   - maxPerShow: Most episodes of one show in the queue
+ *   - blockSize: Episodes of the same show to watch in a row
+ *   - minDistinctShows: Fill the queue from at least this many shows
+ *   - noBackToBack: A new block never repeats the previous block's show
+ *   - interleaveLong: Put one long episode (see LONG_EPISODE_MINUTES) between blocks of short ones
+ * @param {Array} queue - Queue items so far
+ * @returns {Object|null} Object with { show, episode, isRewatch } or null if none available
+ */
+function pickComposedEpisode(shows, pickerOptions, constraints, rules, queue) {
+    const last = queue[queue.length - 1];
+    const counts = {};
+    queue.forEach(item => {
+        counts[item.showId] = (counts[item.showId] || 0) + 1;
+    });
+    const usedIds = Object.keys(counts);
+    const isCapped = showId => rules.maxPerShow > 0 && (counts[showId] || 0) >= rules.maxPerShow;
+    const lastIsLong = !!last && last.runtime >= LONG_EPISODE_MINUTES;
+
+    // Consecutive episodes of the last show at the end of the queue
+    let blockLength = 0;
+    for (let i = queue.length - 1; i >= 0 && queue[i].showId === last.showId; i--) {
+        blockLength++;
+    }
+
+    const slots = [];
+
+    // Keep going with the current block (long episodes always stand alone when interleaving)
+    if (last && blockLength < (rules.blockSize || 1) && !isCapped(last.showId) &&
+        !(rules.interleaveLong && lastIsLong)) {
+        slots.push({
+            allow: show => show.id === last.showId,
+            maxRuntime: rules.interleaveLong ? LONG_EPISODE_MINUTES - 1 : null
+        });
+    }
+
+    // Start a new block, relaxing one soft rule per step
+    for (let relax = 0; relax <= 3; relax++) {
+        const excluded = [];
+        if (relax < 1 && rules.minDistinctShows > 0 && usedIds.length < rules.minDistinctShows) {
+            excluded.push(...usedIds);
+        }
+        if (relax < 3 && rules.noBackToBack && last) {
+            excluded.push(last.showId);
+        }
 
-        const { show, episode } = result;
+        const slot = { allow: show => !isCapped(show.id) && !excluded.includes(show.id) };
+        if (relax < 2 && rules.interleaveLong && last) {
+            if (lastIsLong) {
+                slot.maxRuntime = LONG_EPISODE_MINUTES - 1;
+            } else {
+                slot.minRuntime = LONG_EPISODE_MINUTES;
+            }
+        }
+        slots.push(slot);
+    }
+
+    for (const slot of slots) {
+        const slotConstraints = { ...constraints };
+        if (slot.maxRuntime) {
+            slotConstraints.maxRuntime = slotConstraints.maxRuntime
+                ? Math.min(slotConstraints.maxRuntime, slot.maxRuntime)
+                : slot.maxRuntime;
+        }
+        if (slot.minRuntime) {
+            slotConstraints.minRuntime = Math.max(slotConstraints.minRuntime || 0, slot.minRuntime);
+        }
+
+        const result = pickRandomEpisode(shows.filter(slot.allow), { ...pickerOptions, constraints: slotConstraints });
+        if (result) {
+            return result;
+        }
+    }
+
+    return null;
+}
+
+// ============================================
+// QUEUE EDITING
+// ============================================
+
+/**
+ * Put each show's first-time episodes back in watch order across the slots the
+ * show holds in the queue, so a later episode never plays before an earlier one.
+ * Rewatches and episodes of shows played in random order stay where they are.
+ *
+ * @param {Array} queue - Queue items
+ * @returns {Array} New queue array
+ */
+function keepQueueEpisodeOrder(queue) {
+    const result = [...queue];
+    const slotsByShow = {};
+    result.forEach((item, index) => {
+        if (item.isRewatch || item.anyOrder) return;
+        if (!slotsByShow[item.showId]) {
+            slotsByShow[item.showId] = [];
+        }
+        slotsByShow[item.showId].push(index);
+    });
+
+    Object.values(slotsByShow).forEach(slots => {
+        const items = sortEpisodesInOrder(slots.map(index => result[index]));
+        slots.forEach((slot, i) => {
+            result[slot] = items[i];
+        });
+    });
+
+    return result;
+}
 
-        // Add to queue
-        queue.push({
-            showId: show.id,
+/**
+ * Move a queue item to another position. Moving an episode ahead of an earlier
+ * episode of the same show moves the show's slot instead (see keepQueueEpisodeOrder).
+ *
+ * @param {Array} queue - Queue items
+ * @param {number} from - Index of the item to move
+ * @param {number} to - Index to move it to
+ * @returns {Array} New queue array
+ */
+function moveQueueItem(queue, from, to) {
+    const result = [...queue];
+    const [item] = result.splice(from, 1);
+    result.splice(to, 0, item);
+    return keepQueueEpisodeOrder(result);
+}
+
+/**
+ * Remove a slot from the queue. The show's later episodes move up into the
+ * remaining slots, so its last queued episode is the one that drops out.
+ * Rewatches and episodes of shows played in random order are removed as they are.
+ *
+ * @param {Array} queue - Queue items
+ * @param {number} index - Index of the slot to remove
+ * @returns {Array} New queue array
+ */
+function removeQueueItem(queue, index) {
+    const item = queue[index];
+    const result = queue.filter((_, i) => i !== index);
+    if (item.isRewatch || item.anyOrder) {
+        return result;
+    }
+
+    const showItems = sortEpisodesInOrder(queue.filter(q => q.showId === item.showId && !q.isRewatch && !q.anyOrder));
+    const dropped = showItems[showItems.length - 1];
+    if (dropped !== item) {
+        result[result.indexOf(dropped)] = item;
+    }
+
+    return keepQueueEpisodeOrder(result);
+}
+
+/**
+ * Replace one queue slot with an episode from a different show
+ *
+ * @param {Array} queue - Queue items
+ * @param {number} index - Index of the slot to reroll
+ * @param {Array} shows - Array of show objects
+ * @param {Object} options - Picker options (see pickRandomEpisode)
+ * @returns {Array|null} New queue array, or null if no other show has an episode to offer
+ */
+function rerollQueueItem(queue, index, shows, options = {}) {
+    const item = queue[index];
+    const remaining = removeQueueItem(queue, index);
+    const { showsCopy, pickerOptions } = createQueueState(shows, remaining, options);
+
+    const result = pickRandomEpisode(showsCopy.filter(show => show.id !== item.showId), pickerOptions);
+    if (!result) {
+        return null;
+    }
+
+    remaining.splice(index, 0, createQueueItem(result));
+    return keepQueueEpisodeOrder(remaining);
+}
+
+/**
+ * Bring a saved queue up to date with the current shows: drops items whose show
+ * or episode is gone and upcoming episodes that got watched elsewhere, and picks
+ * up renamed titles, changed runtimes and watch order changes.
+ *
+ * @param {Array} queue - Queue items
+ * @param {number} index - Position of the current item
+ * @param {Array} shows - Array of show objects
+ * @returns {Object} { episodes, index, removed } where removed is the number of dropped items
+ */
+function reconcileQueue(queue, index, shows) {
+    const episodes = [];
+    let newIndex = index;
+
+    queue.forEach((item, i) => {
+        const show = shows.find(s => s.id === item.showId);
+        const episode = show?.episodes.find(ep => ep.id === item.episodeId);
+        const upcoming = i >= index;
+        const watchedElsewhere = upcoming && !item.isRewatch && episode?.watched;
+
+        if (!episode || watchedElsewhere) {
+            if (!upcoming) {
+                newIndex--;
+            }
+            return;
+        }
+
+        episodes.push({
+            ...item,
             showTitle: show.title,
-            episodeId: episode.id,
-            season: episode.season,
-            episodeNumber: episode.episodeNumber,
             episodeTitle: episode.title,
             runtime: episode.runtime,
-            watched: false // Track if watched during this session
+            order: episode.order
         });
+    });
 
-        totalRuntime += episode.runtime;
+    return { episodes, index: newIndex, removed: queue.length - episodes.length };
+}
 
-        // Mark as watched in our copy so we don't pick it again
-        const showInCopy = showsCopy.find(s => s.id === show.id);
-        if (showInCopy) {
-            const epInCopy = showInCopy.episodes.find(e => e.id === episode.id);
-            if (epInCopy) {
-                epInCopy.watched = true;
-            }
+// ============================================
+// PICK CONSTRAINTS
+// ============================================
+
+/**
+ * Filters the picker can be limited by. Each applies either to a show or to
+ * the episode a show would offer, and is only active when its value is set.
+ *
+ * Constraint values (all optional):
+ * - includeShowIds / excludeShowIds: Arrays of show IDs
+ * - services: Array of streaming service IDs the show must be on
+ * - providerCategories: With services, only count services that offer the show in one of
+ *   these categories (see PROVIDER_CATEGORIES)
+ * - genres: Array of genres, the show must have at least one
+ * - excludeGenres: Array of genres, the show must have none of them
+ * - maxRuntime: Longest episode allowed, in minutes
+ * - minRuntime: Shortest episode allowed, in minutes
+ * - excludeStatuses: Array of show statuses (see SHOW_STATUSES) to leave out
+ */
+const PICK_CONSTRAINTS = [
+    {
+        key: 'shows',
+        appliesTo: 'show',
+        isActive: c => !!(c.includeShowIds?.length || c.excludeShowIds?.length),
+        test: (show, c) =>
+            (!c.includeShowIds?.length || c.includeShowIds.includes(show.id)) &&
+            !(c.excludeShowIds || []).includes(show.id),
+        describe: () => 'your included/excluded shows'
+    },
+    {
+        key: 'services',
+        appliesTo: 'show',
+        isActive: c => Array.isArray(c.services),
+        test: (show, c) => (show.streamingServices || []).some(id =>
+            c.services.includes(id) && (!c.providerCategories || isServiceOffered(show, id, c.providerCategories))
+        ),
+        describe: () => 'your streaming services'
+    },
+    {
+        key: 'genres',
+        appliesTo: 'show',
+        isActive: c => !!c.genres?.length,
+        test: (show, c) => (show.genres || []).some(genre => c.genres.includes(genre)),
+        describe: c => `the genre filter (${c.genres.join(', ')})`
+    },
+    {
+        key: 'excludeGenres',
+        appliesTo: 'show',
+        isActive: c => !!c.excludeGenres?.length,
+        test: (show, c) => !(show.genres || []).some(genre => c.excludeGenres.includes(genre)),
+        describe: c => `the excluded genres (${c.excludeGenres.join(', ')})`
+    },
+    {
+        key: 'excludeStatuses',
+        appliesTo: 'show',
+        isActive: c => !!c.excludeStatuses?.length,
+        test: (show, c) => !c.excludeStatuses.includes(show.watchStatus || SHOW_STATUSES.BACKLOG),
+        describe: c => `the status filter (leaving out ${c.excludeStatuses.map(s => SHOW_STATUS_LABELS[s]).join(', ')} shows)`
+    },
+    {
+        key: 'maxRuntime',
+        appliesTo: 'episode',
+        isActive: c => c.maxRuntime > 0,
+        test: (episode, c) => (episode.runtime || 0) <= c.maxRuntime,
+        describe: c => `the ${formatRuntime(c.maxRuntime)} time limit`
+    },
+    {
+        key: 'minRuntime',
+        appliesTo: 'episode',
+        isActive: c => c.minRuntime > 0,
+        test: (episode, c) => (episode.runtime || 0) >= c.minRuntime,
+        describe: c => `the ${formatRuntime(c.minRuntime)} minimum runtime`
+    }
+];
+
+/**
+ * Check a show or episode against every active constraint of one kind
+ *
+ * @param {Object} item - Show or episode
+ * @param {Object} constraints - Constraint values (see PICK_CONSTRAINTS)
+ * @param {string} appliesTo - "show" or "episode"
+ * @returns {boolean} True if the item passes all active constraints
+ */
+function passesConstraints(item, constraints, appliesTo) {
+    if (!constraints) return true;
+
+    return PICK_CONSTRAINTS.every(constraint =>
+        constraint.appliesTo !== appliesTo ||
+        !constraint.isActive(constraints) ||
+        constraint.test(item, constraints)
+    );
+}
+
+/**
+ * Work out why the picker came up empty.
+ * Leaves out snoozed and never-picked shows, then applies the active constraints
+ * one at a time and reports the first step that leaves nothing to pick.
+ *
+ * @param {Array} shows - Array of show objects
+ * @param {Object} options - Picker options (see pickRandomEpisode)
+ * @returns {Object|null} { key, message } for the eliminating constraint,
+ *   or null if there was nothing to pick even without constraints
+ */
+function explainEmptyPick(shows, options = {}) {
+    const constraints = options.constraints || {};
+    const unconstrained = { ...options, constraints: null, allShows: options.allShows || shows };
+
+    let remaining = (shows || [])
+        .map(show => ({ show, episodes: getCandidateEpisodes(show, unconstrained) }))
+        .filter(item => item.episodes.length > 0);
+
+    if (remaining.length === 0) {
+        return null;
+    }
+
+    if (options.continueShowIds?.length) {
+        return {
+            key: 'continue',
+            message: 'The shows you are continuing have no unwatched episodes left.'
+        };
+    }
+
+    const now = options.now || Date.now();
+    const before = remaining.length;
+    remaining = remaining.filter(item => isShowAutoPickable(item.show, now));
+    if (remaining.length === 0) {
+        return {
+            key: 'snoozed',
+            message: before === 1
+                ? 'The only show with an episode ready is snoozed or set to never be picked.'
+                : `All ${before} shows with an episode ready are snoozed or set to never be picked.`
+        };
+    }
+
+    for (const constraint of PICK_CONSTRAINTS) {
+        if (!constraint.isActive(constraints)) continue;
+
+        const before = remaining.length;
+        remaining = remaining
+            .map(item => constraint.appliesTo === 'show'
+                ? (constraint.test(item.show, constraints) ? item : null)
+                : { ...item, episodes: item.episodes.filter(ep => constraint.test(ep, constraints)) })
+            .filter(item => item && item.episodes.length > 0);
+
+        if (remaining.length === 0) {
+            return {
+                key: constraint.key,
+                message: `Nothing matches ${constraint.describe(constraints)}. ` +
+                    `${before} show${before === 1 ? '' : 's'} had an episode ready before it was applied.`
+            };
         }
     }
 
-    return {
-        episodes: queue,
-        totalRuntime: totalRuntime,
-        targetRuntime: minutesGoal
-    };
+    return null;
+}
+
+// ============================================
+// FRANCHISES
+// ============================================
+
+/**
+ * Get a franchise's merged watch order: the episodes its order lists, then any
+ * episodes of member shows it doesn't list yet, show by show in each show's own order
+ *
+ * @param {Object} franchise - Franchise object
+ * @param {Array} shows - Array of show objects (member shows that are missing are left out)
+ * @returns {Array} { show, episode } items in watch order
+ */
+function getFranchiseEpisodes(franchise, shows) {
+    const members = franchise.showIds
+        .map(id => shows.find(show => show.id === id))
+        .filter(Boolean);
+
+    const items = new Map();
+    members.forEach(show => {
+        sortEpisodesInOrder(show.episodes).forEach(episode => {
+            items.set(episode.id, { show, episode });
+        });
+    });
+
+    const listed = new Set(franchise.watchOrder
+        .map(ref => items.get(ref.episodeId))
+        .filter(Boolean));
+    return [...listed, ...[...items.values()].filter(item => !listed.has(item))];
+}
+
+/**
+ * Get the next unwatched episode in a franchise's merged watch order
+ *
+ * @param {Object} franchise - Franchise object
+ * @param {Array} shows - Array of show objects
+ * @returns {Object|null} { show, episode } or null if every member episode is watched
+ */
+function getFranchiseNextEpisode(franchise, shows) {
+    return getFranchiseEpisodes(franchise, shows).find(item => !item.episode.watched) || null;
+}
+
+// ============================================
+// STREAMING AVAILABILITY
+// ============================================
+
+/**
+ * Get the best way a service offers a show, among the enabled provider categories
+ * @param {Object} show - Show object
+ * @param {string} serviceId - Streaming service ID
+ * @param {Array} categories - Enabled PROVIDER_CATEGORIES values
+ * @returns {string|null} Category, or null if none of the enabled ones applies
+ */
+function getServiceCategory(show, serviceId, categories) {
+    const offered = (show.streamingCategories || {})[serviceId] || [];
+    return Object.values(PROVIDER_CATEGORIES).find(category =>
+        offered.includes(category) && categories.includes(category)
+    ) || null;
+}
+
+/**
+ * Check whether a show's service should count, given the enabled provider categories.
+ * Services without recorded categories (e.g. selected by hand) always count.
+ * @param {Object} show - Show object
+ * @param {string} serviceId - Streaming service ID
+ * @param {Array} categories - Enabled PROVIDER_CATEGORIES values
+ * @returns {boolean}
+ */
+function isServiceOffered(show, serviceId, categories) {
+    const offered = (show.streamingCategories || {})[serviceId] || [];
+    return offered.length === 0 || getServiceCategory(show, serviceId, categories) !== null;
+}
+
+// ============================================
+// SNOOZING
+// ============================================
+
+/**
+ * Check whether the picker may choose a show on its own.
+ * Shows flagged "never auto-pick" and shows snoozed past now are left out
+ * of Randomize and Couch Potato; they can still be watched from the Shows tab.
+ *
+ * @param {Object} show - Show object
+ * @param {number} now - Current time in ms
+ * @returns {boolean} True if the show can be picked
+ */
+function isShowAutoPickable(show, now = Date.now()) {
+    return !show.neverAutoPick && !isShowSnoozed(show, now);
+}
+
+/**
+ * Check whether a show is snoozed
+ * @param {Object} show - Show object
+ * @param {number} now - Current time in ms
+ * @returns {boolean} True if the show's snooze ends after now
+ */
+function isShowSnoozed(show, now = Date.now()) {
+    return !!show.snoozedUntil && new Date(show.snoozedUntil).getTime() > now;
+}
+
+/**
+ * Work out when a snooze of some days ends: the start of the day that many days from now
+ * @param {number} days - Snooze length in days (see SNOOZE_OPTIONS)
+ * @param {Date} now - Current time
+ * @returns {string} ISO timestamp of local midnight at the end of the snooze
+ */
+function getSnoozeEnd(days, now = new Date()) {
+    const end = new Date(now);
+    end.setHours(0, 0, 0, 0);
+    end.setDate(end.getDate() + days);
+    return end.toISOString();
+}
+
+// ============================================
+// WEIGHTED SELECTION HELPERS
+// ============================================
+
+/**
+ * Pick a random item, with each item's odds proportional to its weight
+ *
+ * @param {Array} items - Items to pick from
+ * @param {Function} getWeight - Returns a non-negative weight for an item
+ * @returns {*} The picked item, or null if items is empty
+ */
+function pickWeightedItem(items, getWeight) {
+    if (!items || items.length === 0) {
+        return null;
+    }
+
+    const weights = items.map(item => Math.max(0, getWeight(item) || 0));
+    const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+
+    // All weights zero: fall back to a uniform pick
+    if (totalWeight <= 0) {
+        return items[Math.floor(Math.random() * items.length)];
+    }
+
+    let roll = Math.random() * totalWeight;
+    for (let i = 0; i < items.length; i++) {
+        roll -= weights[i];
+        if (roll < 0) {
+            return items[i];
+        }
+    }
+    return items[items.length - 1];
+}
+
+/**
+ * Get how likely a show is to be picked: its priority weight times the strategy
+ * weight, lowered for shows that keep getting skipped
+ *
+ * @param {Object} show - Show object
+ * @param {Object} options - Picker options (see pickRandomEpisode)
+ * @returns {number} Relative weight (higher = more likely)
+ */
+function getShowPickWeight(show, options = {}) {
+    return getStrategyWeight(show, options) * getSkipPenalty(show, options.now);
+}
+
+/**
+ * Get a show's weight from its priority and the pick strategy
+ *
+ * @param {Object} show - Show object
+ * @param {Object} options - Picker options (see pickRandomEpisode)
+ * @returns {number} Relative weight (higher = more likely)
+ */
+function getStrategyWeight(show, options = {}) {
+    const priorityWeight = SHOW_PRIORITY_WEIGHTS[show.priority] || SHOW_PRIORITY_WEIGHTS[DEFAULT_SHOW_PRIORITY];
+
+    switch (options.strategy) {
+        case PICK_STRATEGIES.REMAINING_RUNTIME:
+            // Big backlogs come up more often
+            return priorityWeight * Math.max(1, getUnwatchedRuntime(show));
+
+        case PICK_STRATEGIES.NEAR_COMPLETION: {
+            // Fewer episodes left = more likely, so shows get finished
+            const remaining = show.episodes.filter(ep => !ep.watched).length;
+            return priorityWeight / Math.max(1, remaining);
+        }
+
+        case PICK_STRATEGIES.LEAST_RECENT: {
+            // Days since the show was last watched, capped so new shows don't dominate
+            const lastWatched = (options.lastShowWatchTimes || {})[show.id];
+            const now = options.now || Date.now();
+            const days = lastWatched === undefined
+                ? LEAST_RECENT_MAX_DAYS
+                : Math.min(LEAST_RECENT_MAX_DAYS, Math.max(0, (now - lastWatched) / (24 * 60 * 60 * 1000)));
+            return priorityWeight * (1 + days);
+        }
+
+        default:
+            return priorityWeight;
+    }
+}
+
+/**
+ * Get the weight multiplier for a show's recent skips
+ *
+ * @param {Object} show - Show object with optional skips
+ * @param {number} now - Current time in ms (default: Date.now())
+ * @returns {number} 1 for no recent skips, lower the more it was skipped
+ */
+function getSkipPenalty(show, now = Date.now()) {
+    const windowStart = now - SKIP_PENALTY_DAYS * 24 * 60 * 60 * 1000;
+    const recentSkips = (show.skips || []).filter(skip => new Date(skip.skippedAt).getTime() >= windowStart).length;
+    return Math.pow(SKIP_PENALTY_FACTOR, Math.min(recentSkips, SKIP_PENALTY_MAX_SKIPS));
+}
+
+/**
+ * Build a lookup of when each show was last watched
+ *
+ * @param {Array} history - Watch history entries
+ * @returns {Object} Map of showId to last watched time (ms since epoch)
+ */
+function getLastShowWatchTimes(history) {
+    const times = {};
+    (history || []).forEach(entry => {
+        const time = new Date(entry.watchedAt).getTime();
+        if (!(times[entry.showId] >= time)) {
+            times[entry.showId] = time;
+        }
+    });
+    return times;
+}
+
+// ============================================
+// REWATCH HELPERS
+// ============================================
+
+/**
+ * Build a lookup of when each episode was last watched
+ *
+ * @param {Array} history - Watch history entries
+ * @returns {Object} Map of episodeId to last watched time (ms since epoch)
+ */
+function getLastWatchedTimes(history) {
+    const times = {};
+    (history || []).forEach(entry => {
+        const time = new Date(entry.watchedAt).getTime();
+        if (!(times[entry.episodeId] >= time)) {
+            times[entry.episodeId] = time;
+        }
+    });
+    return times;
+}
+
+/**
+ * Get the next episode of a sequential rewatch run:
+ * the watched episode that follows the most recently watched one (wrapping around)
+ *
+ * @param {Object} show - Show object
+ * @param {Object} lastWatchedTimes - Map from getLastWatchedTimes
+ * @returns {Object|null} Next episode to rewatch, or null if nothing has been watched
+ */
+function getNextRewatchEpisode(show, lastWatchedTimes) {
+    const watchedEpisodes = sortEpisodesInOrder(show.episodes).filter(ep => ep.watched);
+    if (watchedEpisodes.length === 0) {
+        return null;
+    }
+
+    let lastIndex = -1;
+    let lastTime = -Infinity;
+    watchedEpisodes.forEach((ep, index) => {
+        const time = lastWatchedTimes[ep.id];
+        if (time !== undefined && time >= lastTime) {
+            lastTime = time;
+            lastIndex = index;
+        }
+    });
+
+    return watchedEpisodes[(lastIndex + 1) % watchedEpisodes.length];
 }
 
 // ============================================
@@ -148,21 +1195,23 @@ function generateCouchPotatoQueue(minutesGoal, shows = null) {
 // ============================================
 
 /**
- * Calculate progress for a show
+ * Calculate progress for a show's current pass (first watch or rewatch)
  *
  * @param {Object} show - Show object with episodes array
- * @returns {Object} Progress object with watched, total, and percentage
+ * @returns {Object} Progress object with watched, total, percentage and pass
  */
 function calculateShowProgress(show) {
+    const pass = (show && show.currentPass) || 1;
+
     if (!show || !show.episodes || show.episodes.length === 0) {
-        return { watched: 0, total: 0, percentage: 0 };
+        return { watched: 0, total: 0, percentage: 0, pass };
     }
 
     const total = show.episodes.length;
     const watched = show.episodes.filter(ep => ep.watched).length;
     const percentage = Math.round((watched / total) * 100);
 
-    return { watched, total, percentage };
+    return { watched, total, percentage, pass };
 }
 
 /**
@@ -0,0 +1,311 @@
+/**
+ * Undo/Redo Journal - Records reversible data changes
+ *
+ * Every journaled action stores two lists of operations: the ops that undo it
+ * and the ops that redo it. Ops are plain objects (not closures) so the journal
+ * can be persisted and survives reloads. Changes to a show journal only the fields
+ * and episodes that changed (see getShowChangeOps), so entries stay small.
+ *
+ * Op types:
+ * - putEpisode: { showId, episode }   Write a single episode record
+ * - putShow: { show, sortIndex }      Write a whole show (restoring its position)
+ * - updateShowFields: { showId, fields, removedFields }  Set (or remove) some of a show's own fields
+ * - updateEpisodes: { showId, episodeIds, episodes }  Set a show's episode list to episodeIds,
+ *   taking the listed episode records from episodes and the rest from the show as it is
+ * - applyWatchOrder: { showId }       Renumber a show's episodes by its active watch order
+ * - deleteShow: { showId }
+ * - addHistory: { entry }             Re-add a history entry (keeps its ID and date)
+ * - deleteHistory: { entryId }
+ * - replaceHistory: { history }
+ * - replaceSettings: { settings }
+ * - replaceShows: { shows }
+ * - putFranchise: { franchise }
+ * - deleteFranchise: { franchiseId }
+ * - replaceFranchises: { franchises }
+ */
+
+// ============================================
+// CONFIG
+// ============================================
+const JOURNAL_LIMIT = 30; // Max undo steps kept
+const JOURNAL_MAX_PERSISTED_SIZE = 256 * 1024; // Larger entries (e.g. imports), and all before them, are kept for this session only
+
+const JOURNAL_STACKS = {
+    UNDO: 'undo',
+    REDO: 'redo'
+};
+
+// Callbacks notified when the journal changes (see onJournalChange)
+const journalListeners = [];
+
+// ============================================
+// RECORDING
+// ============================================
+
+/**
+ * Get the entries of one journal stack, oldest first
+ * @param {string} stack - JOURNAL_STACKS.UNDO or JOURNAL_STACKS.REDO
+ * @returns {Array} Journal entries
+ */
+function getJournalStack(stack) {
+    return STORAGE_ENGINE.cache.journal.filter(entry => entry.stack === stack);
+}
+
+/**
+ * Get the next sequence number for a journal entry
+ * @returns {number} Sequence number greater than any existing entry's
+ */
+function nextJournalSeq() {
+    return Math.max(0, ...STORAGE_ENGINE.cache.journal.map(entry => entry.seq)) + 1;
+}
+
+/**
+ * Record a reversible action. Clears the redo stack, like any editor would.
+ * @param {string} label - Human readable description (e.g. "Deleted The Office")
+ * @param {Array} undoOps - Ops that revert the action
+ * @param {Array} redoOps - Ops that re-apply the action
+ * @param {Object} context - Extra details for the UI (e.g. showId, episodeId)
+ * @returns {Object} The recorded journal entry
+ */
+function recordAction(label, undoOps, redoOps, context = {}) {
+    const entry = {
+        id: generateId(),
+        stack: JOURNAL_STACKS.UNDO,
+        seq: nextJournalSeq(),
+        label,
+        undo: cloneData(undoOps),
+        redo: cloneData(redoOps),
+        context,
+        createdAt: new Date().toISOString()
+    };
+    if (JSON.stringify(entry).length > JOURNAL_MAX_PERSISTED_SIZE) {
+        entry.sessionOnly = true;
+    }
+
+    // A new action makes the redo stack meaningless
+    const staleIds = getJournalStack(JOURNAL_STACKS.REDO).map(e => e.id);
+
+    // Drop the oldest undo steps beyond the limit
+    const undoStack = getJournalStack(JOURNAL_STACKS.UNDO);
+    const overflow = undoStack.length + 1 - JOURNAL_LIMIT;
+    if (overflow > 0) {
+        undoStack.slice(0, overflow).forEach(e => staleIds.push(e.id));
+    }
+
+    STORAGE_ENGINE.deleteJournalEntries(staleIds);
+    STORAGE_ENGINE.putJournalEntry(entry);
+    notifyJournalListeners('record', entry);
+    return entry;
+}
+
+/**
+ * Work out the ops that undo and redo a change to one show: the show's own fields
+ * that changed, plus its changed episodes
+ * @param {Object} show - The show before the change
+ * @param {Object} updatedShow - The show after the change
+ * @returns {Object} { undo, redo } op lists (empty if nothing changed)
+ */
+function getShowChangeOps(show, updatedShow) {
+    const undo = [];
+    const redo = [];
+    const showId = show.id;
+    const isChanged = (a, b) => JSON.stringify(a) !== JSON.stringify(b);
+
+    const { episodes: episodesBefore, ...fieldsBefore } = show;
+    const { episodes: episodesAfter, ...fieldsAfter } = updatedShow;
+    const changedFields = [...new Set([...Object.keys(fieldsBefore), ...Object.keys(fieldsAfter)])]
+        .filter(key => isChanged(fieldsBefore[key], fieldsAfter[key]));
+    if (changedFields.length > 0) {
+        const fieldOp = (from, to) => ({
+            type: 'updateShowFields',
+            showId,
+            fields: Object.fromEntries(changedFields.filter(key => key in to).map(key => [key, to[key]])),
+            removedFields: changedFields.filter(key => !(key in to))
+        });
+        undo.push(fieldOp(fieldsAfter, fieldsBefore));
+        redo.push(fieldOp(fieldsBefore, fieldsAfter));
+    }
+
+    const idsBefore = episodesBefore.map(ep => ep.id);
+    const idsAfter = episodesAfter.map(ep => ep.id);
+    const byId = episodes => Object.fromEntries(episodes.map(ep => [ep.id, ep]));
+    const before = byId(episodesBefore);
+    const after = byId(episodesAfter);
+
+    if (!isChanged(idsBefore, idsAfter)) {
+        // Same episodes in the same order: write just the ones that changed
+        episodesAfter.filter(ep => isChanged(before[ep.id], ep)).forEach(ep => {
+            undo.push({ type: 'putEpisode', showId, episode: before[ep.id] });
+            redo.push({ type: 'putEpisode', showId, episode: ep });
+        });
+    } else {
+        // Episodes were added, removed or moved: list the IDs, with records only for the changed ones
+        undo.push({
+            type: 'updateEpisodes',
+            showId,
+            episodeIds: idsBefore,
+            episodes: episodesBefore.filter(ep => isChanged(after[ep.id], ep))
+        });
+        redo.push({
+            type: 'updateEpisodes',
+            showId,
+            episodeIds: idsAfter,
+            episodes: episodesAfter.filter(ep => isChanged(before[ep.id], ep))
+        });
+    }
+
+    return { undo, redo };
+}
+
+// ============================================
+// UNDO / REDO
+// ============================================
+
+/**
+ * Check whether there is anything to undo
+ * @returns {boolean}
+ */
+function canUndo() {
+    return getJournalStack(JOURNAL_STACKS.UNDO).length > 0;
+}
+
+/**
+ * Check whether there is anything to redo
+ * @returns {boolean}
+ */
+function canRedo() {
+    return getJournalStack(JOURNAL_STACKS.REDO).length > 0;
+}
+
+/**
+ * Get the action that would be undone next
+ * @returns {Object|null} Journal entry or null
+ */
+function peekUndo() {
+    const stack = getJournalStack(JOURNAL_STACKS.UNDO);
+    return stack[stack.length - 1] || null;
+}
+
+/**
+ * Get the action that would be redone next
+ * @returns {Object|null} Journal entry or null
+ */
+function peekRedo() {
+    const stack = getJournalStack(JOURNAL_STACKS.REDO);
+    return stack[stack.length - 1] || null;
+}
+
+/**
+ * Undo the most recent action
+ * @returns {Object|null} The undone journal entry, or null if there was nothing to undo
+ */
+function undoLastAction() {
+    const entry = peekUndo();
+    if (!entry) return null;
+
+    entry.undo.forEach(applyJournalOp);
+    STORAGE_ENGINE.putJournalEntry({ ...entry, stack: JOURNAL_STACKS.REDO, seq: nextJournalSeq() });
+    notifyJournalListeners('undo', entry);
+    return entry;
+}
+
+/**
+ * Redo the most recently undone action
+ * @returns {Object|null} The redone journal entry, or null if there was nothing to redo
+ */
+function redoLastAction() {
+    const entry = peekRedo();
+    if (!entry) return null;
+
+    entry.redo.forEach(applyJournalOp);
+    STORAGE_ENGINE.putJournalEntry({ ...entry, stack: JOURNAL_STACKS.UNDO, seq: nextJournalSeq() });
+    notifyJournalListeners('redo', entry);
+    return entry;
+}
+
+/**
+ * Apply a single journal op directly to storage (without recording it again)
+ * @param {Object} op - Journal op
+ */
+function applyJournalOp(op) {
+    switch (op.type) {
+        case 'putEpisode':
+            STORAGE_ENGINE.putEpisode(op.showId, cloneData(op.episode));
+            break;
+        case 'putShow':
+            STORAGE_ENGINE.putShow(cloneData(op.show), op.sortIndex);
+            break;
+        case 'updateShowFields': {
+            const show = getShowById(op.showId);
+            if (show) {
+                const updatedShow = { ...show, ...cloneData(op.fields) };
+                (op.removedFields || []).forEach(key => delete updatedShow[key]);
+                STORAGE_ENGINE.putShowRecord(updatedShow);
+            }
+            break;
+        }
+        case 'updateEpisodes': {
+            const show = getShowById(op.showId);
+            if (show) {
+                const episodes = [...show.episodes, ...cloneData(op.episodes)];
+                STORAGE_ENGINE.putShow({
+                    ...show,
+                    episodes: op.episodeIds.map(id => episodes.findLast(ep => ep.id === id)).filter(Boolean)
+                });
+            }
+            break;
+        }
+        case 'applyWatchOrder': {
+            const show = getShowById(op.showId);
+            if (show) {
+                STORAGE_ENGINE.putShow(applyWatchOrder(show));
+            }
+            break;
+        }
+        case 'deleteShow':
+            STORAGE_ENGINE.deleteShow(op.showId);
+            break;
+        case 'addHistory':
+            STORAGE_ENGINE.addHistoryEntry(cloneData(op.entry));
+            break;
+        case 'deleteHistory':
+            STORAGE_ENGINE.deleteHistoryEntry(op.entryId);
+            break;
+        case 'replaceHistory':
+            saveHistory(op.history);
+            break;
+        case 'replaceSettings':
+            STORAGE_ENGINE.putSettings(cloneData(op.settings));
+            break;
+        case 'replaceShows':
+            saveShows(op.shows);
+            break;
+        case 'putFranchise':
+            STORAGE_ENGINE.putFranchise(cloneData(op.franchise));
+            break;
+        case 'deleteFranchise':
+            STORAGE_ENGINE.deleteFranchise(op.franchiseId);
+            break;
+        case 'replaceFranchises':
+            STORAGE_ENGINE.replaceFranchises(cloneData(op.franchises));
+            break;
+        default:
+            console.error('Unknown journal op:', op.type);
+    }
+}
+
+// ============================================
+// LISTENERS
+// ============================================
+
+/**
+ * Register a callback for journal changes
+ * @param {Function} listener - Called with (action, entry) where action is "record", "undo" or "redo"
+ */
+function onJournalChange(listener) {
+    journalListeners.push(listener);
+}
+
+function notifyJournalListeners(action, entry) {
+    journalListeners.forEach(listener => listener(action, entry));
+}
@@ -0,0 +1,807 @@
+/**
+ * Storage Engine - IndexedDB persistence for the data layer
+ *
+ * All reads are served from an in-memory cache that is loaded once at startup,
+ * so the data access functions in data.js stay synchronous. Writes update the
+ * cache immediately and are persisted record-by-record in the background.
+ *
+ * Object stores:
+ * - shows: Show records (without episodes), keyed by show ID
+ * - episodes: Episode records with a showId reference, keyed by episode ID
+ * - history: Watch history entries, keyed by entry ID
+ * - settings: One record per setting, keyed by setting name
+ * - meta: Bookkeeping values such as the data schema version, keyed by name
+ * - journal: Undo/redo journal entries, keyed by entry ID
+ * - franchises: Franchises grouping several shows under one watch order, keyed by ID
+ * - apiCache: Cached TVMaze/TMDB responses, keyed by request URL and indexed by fetchedAt.
+ *   Unlike the other stores these are read on demand rather than loaded into the
+ *   in-memory cache, and old ones are pruned (see pruneApiResponses).
+ *
+ * If IndexedDB is unavailable the engine falls back to the legacy
+ * localStorage keys so the app keeps working.
+ */
+
+// ============================================
+// DATABASE CONFIG
+// ============================================
+const DB_NAME = 'randomEpisodePicker';
+const DB_VERSION = 6;
+
+const DB_STORES = {
+    SHOWS: 'shows',
+    EPISODES: 'episodes',
+    HISTORY: 'history',
+    SETTINGS: 'settings',
+    META: 'meta',
+    JOURNAL: 'journal',
+    FRANCHISES: 'franchises',
+    API_CACHE: 'apiCache'
+};
+
+// Legacy localStorage keys (pre-IndexedDB), migrated once on first load
+const LEGACY_STORAGE_KEYS = {
+    SHOWS: 'randomEpisodePicker_shows',
+    HISTORY: 'randomEpisodePicker_history',
+    SETTINGS: 'randomEpisodePicker_settings',
+    META: 'randomEpisodePicker_meta',
+    JOURNAL: 'randomEpisodePicker_journal',
+    FRANCHISES: 'randomEpisodePicker_franchises'
+};
+
+// Shows are saved with their episodes, so both stores share one fallback entry
+// (and a write to both saves the shows once)
+const FALLBACK_SHOWS = { key: LEGACY_STORAGE_KEYS.SHOWS, value: cache => cache.shows };
+
+// localStorage key and cached value of each store in the localStorage fallback
+const FALLBACK_STORAGE = {
+    [DB_STORES.SHOWS]: FALLBACK_SHOWS,
+    [DB_STORES.EPISODES]: FALLBACK_SHOWS,
+    [DB_STORES.HISTORY]: { key: LEGACY_STORAGE_KEYS.HISTORY, value: cache => cache.history },
+    [DB_STORES.SETTINGS]: { key: LEGACY_STORAGE_KEYS.SETTINGS, value: cache => cache.settings },
+    [DB_STORES.META]: { key: LEGACY_STORAGE_KEYS.META, value: cache => cache.meta },
+    [DB_STORES.JOURNAL]: { key: LEGACY_STORAGE_KEYS.JOURNAL, value: cache => cache.journal.filter(e => !e.sessionOnly) },
+    [DB_STORES.FRANCHISES]: { key: LEGACY_STORAGE_KEYS.FRANCHISES, value: cache => cache.franchises }
+};
+
+// ============================================
+// IDB HELPERS
+// ============================================
+
+/**
+ * Wrap an IDBRequest in a promise
+ * @param {IDBRequest} request - The request to wait for
+ * @returns {Promise<*>} Resolves with the request result
+ */
+function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Wait for a transaction to commit
+ * @param {IDBTransaction} tx - The transaction to wait for
+ * @returns {Promise<void>} Resolves when the transaction completes
+ */
+function transactionDone(tx) {
+    return new Promise((resolve, reject) => {
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+    });
+}
+
+/**
+ * Split a show into its stored show record and episode records
+ * @param {Object} show - Show object with embedded episodes
+ * @param {number} sortIndex - Position of the show in the shows list
+ * @returns {Object} Object with showRecord and episodeRecords
+ */
+function toStoredShow(show, sortIndex) {
+    const { episodes, ...showRecord } = show;
+    return {
+        showRecord: { ...showRecord, sortIndex },
+        episodeRecords: (episodes || []).map((ep, index) => ({
+            ...ep,
+            showId: show.id,
+            sortIndex: index
+        }))
+    };
+}
+
+/**
+ * Strip storage-only fields from a stored record
+ * @param {Object} record - Stored record
+ * @param {...string} fields - Bookkeeping fields to remove (e.g. showId, sortIndex)
+ * @returns {Object} Record without the bookkeeping fields
+ */
+function fromStoredRecord(record, ...fields) {
+    const clean = { ...record };
+    fields.forEach(field => delete clean[field]);
+    return clean;
+}
+
+// ============================================
+// STORAGE ENGINE
+// ============================================
+
+const STORAGE_ENGINE = {
+    db: null,
+
+    // In-memory copies of everything in the database
+    cache: {
+        shows: [],
+        history: [],
+        settings: null,
+        meta: {},
+        journal: [],
+        franchises: []
+    },
+
+    // Stored sortIndex per show ID, so single-show writes keep list order
+    showOrder: {},
+
+    // API responses for this session only, used when IndexedDB is unavailable
+    apiResponses: {},
+
+    // Callbacks notified when a write fails to persist (see onWriteError)
+    writeErrorListeners: [],
+
+    /**
+     * Open the database, migrate legacy localStorage data and load the cache.
+     * Must be awaited before any data access function is used.
+     * @returns {Promise<void>}
+     */
+    async init() {
+        try {
+            this.db = await this.open();
+            await this.migrateFromLocalStorage();
+            await this.load();
+        } catch (error) {
+            console.error('IndexedDB unavailable, falling back to localStorage:', error);
+            this.db = null;
+            this.loadFromLocalStorage();
+        }
+    },
+
+    /**
+     * Open (and create or upgrade) the database
+     * @returns {Promise<IDBDatabase>}
+     */
+    open() {
+        return new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                reject(new Error('IndexedDB is not supported'));
+                return;
+            }
+
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(DB_STORES.SHOWS)) {
+                    db.createObjectStore(DB_STORES.SHOWS, { keyPath: 'id' });
+                }
+                if (!db.objectStoreNames.contains(DB_STORES.EPISODES)) {
+                    db.createObjectStore(DB_STORES.EPISODES, { keyPath: 'id' });
+                }
+                if (!db.objectStoreNames.contains(DB_STORES.HISTORY)) {
+                    db.createObjectStore(DB_STORES.HISTORY, { keyPath: 'id' });
+                }
+                if (!db.objectStoreNames.contains(DB_STORES.SETTINGS)) {
+                    db.createObjectStore(DB_STORES.SETTINGS, { keyPath: 'key' });
+                }
+                if (!db.objectStoreNames.contains(DB_STORES.META)) {
+                    db.createObjectStore(DB_STORES.META, { keyPath: 'key' });
+                }
+                if (!db.objectStoreNames.contains(DB_STORES.JOURNAL)) {
+                    db.createObjectStore(DB_STORES.JOURNAL, { keyPath: 'id' });
+                }
+                if (!db.objectStoreNames.contains(DB_STORES.FRANCHISES)) {
+                    db.createObjectStore(DB_STORES.FRANCHISES, { keyPath: 'id' });
+                }
+                if (!db.objectStoreNames.contains(DB_STORES.API_CACHE)) {
+                    db.createObjectStore(DB_STORES.API_CACHE, { keyPath: 'key' });
+                }
+                const apiCache = request.transaction.objectStore(DB_STORES.API_CACHE);
+                if (!apiCache.indexNames.contains('fetchedAt')) {
+                    apiCache.createIndex('fetchedAt', 'fetchedAt');
+                }
+            };
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('Database upgrade blocked by another tab'));
+        });
+    },
+
+    /**
+     * Load every store into the in-memory cache
+     * @returns {Promise<void>}
+     */
+    async load() {
+        const tx = this.db.transaction(Object.values(DB_STORES), 'readonly');
+        const [showRecords, episodeRecords, historyRecords, settingRecords, metaRecords, journalRecords, franchiseRecords] = await Promise.all([
+            promisifyRequest(tx.objectStore(DB_STORES.SHOWS).getAll()),
+            promisifyRequest(tx.objectStore(DB_STORES.EPISODES).getAll()),
+            promisifyRequest(tx.objectStore(DB_STORES.HISTORY).getAll()),
+            promisifyRequest(tx.objectStore(DB_STORES.SETTINGS).getAll()),
+            promisifyRequest(tx.objectStore(DB_STORES.META).getAll()),
+            promisifyRequest(tx.objectStore(DB_STORES.JOURNAL).getAll()),
+            promisifyRequest(tx.objectStore(DB_STORES.FRANCHISES).getAll())
+        ]);
+
+        // Group episodes by show, keeping their original order
+        const episodesByShow = {};
+        episodeRecords
+            .sort((a, b) => a.sortIndex - b.sortIndex)
+            .forEach(record => {
+                if (!episodesByShow[record.showId]) {
+                    episodesByShow[record.showId] = [];
+                }
+                episodesByShow[record.showId].push(fromStoredRecord(record, 'showId', 'sortIndex'));
+            });
+
+        this.showOrder = {};
+        showRecords.forEach(record => {
+            this.showOrder[record.id] = record.sortIndex;
+        });
+
+        this.cache.shows = showRecords
+            .sort((a, b) => a.sortIndex - b.sortIndex)
+            .map(record => ({
+                ...fromStoredRecord(record, 'sortIndex'),
+                episodes: episodesByShow[record.id] || []
+            }));
+
+        // Newest first, matching the order entries are added in
+        this.cache.history = historyRecords.sort((a, b) =>
+            new Date(b.watchedAt) - new Date(a.watchedAt)
+        );
+
+        this.cache.settings = settingRecords.length > 0
+            ? Object.fromEntries(settingRecords.map(record => [record.key, record.value]))
+            : null;
+
+        this.cache.meta = Object.fromEntries(metaRecords.map(record => [record.key, record.value]));
+        this.cache.journal = journalRecords.sort((a, b) => a.seq - b.seq);
+        this.cache.franchises = franchiseRecords.sort((a, b) =>
+            new Date(a.createdAt) - new Date(b.createdAt)
+        );
+    },
+
+    /**
+     * One-time migration of the legacy randomEpisodePicker_* localStorage keys.
+     * The keys are removed once their data has been committed to IndexedDB.
+     * @returns {Promise<void>}
+     */
+    async migrateFromLocalStorage() {
+        if (typeof localStorage === 'undefined') return;
+
+        const legacyKeys = Object.values(LEGACY_STORAGE_KEYS);
+        if (!legacyKeys.some(key => localStorage.getItem(key) !== null)) {
+            return;
+        }
+
+        const shows = JSON.parse(localStorage.getItem(LEGACY_STORAGE_KEYS.SHOWS) || '[]');
+        const history = JSON.parse(localStorage.getItem(LEGACY_STORAGE_KEYS.HISTORY) || '[]');
+        const settings = JSON.parse(localStorage.getItem(LEGACY_STORAGE_KEYS.SETTINGS) || 'null');
+        const meta = JSON.parse(localStorage.getItem(LEGACY_STORAGE_KEYS.META) || '{}');
+        const journal = JSON.parse(localStorage.getItem(LEGACY_STORAGE_KEYS.JOURNAL) || '[]');
+        const franchises = JSON.parse(localStorage.getItem(LEGACY_STORAGE_KEYS.FRANCHISES) || '[]');
+
+        const tx = this.db.transaction(Object.values(DB_STORES), 'readwrite');
+        this.writeShows(tx, shows);
+        history.forEach(entry => tx.objectStore(DB_STORES.HISTORY).put(entry));
+        if (settings) {
+            this.writeSettings(tx, settings);
+        }
+        Object.entries(meta).forEach(([key, value]) => {
+            tx.objectStore(DB_STORES.META).put({ key, value });
+        });
+        journal.forEach(entry => tx.objectStore(DB_STORES.JOURNAL).put(entry));
+        franchises.forEach(franchise => tx.objectStore(DB_STORES.FRANCHISES).put(franchise));
+        await transactionDone(tx);
+
+        legacyKeys.forEach(key => localStorage.removeItem(key));
+    },
+
+    // ============================================
+    // WRITES
+    // ============================================
+
+    /**
+     * Run a write transaction in the background, reporting any failure (see onWriteError)
+     * @param {Array<string>} storeNames - Stores the transaction touches
+     * @param {Function} work - Called with the transaction to queue requests
+     * @returns {Promise<void>}
+     */
+    write(storeNames, work) {
+        if (!this.db) {
+            this.saveToLocalStorage(storeNames);
+            return Promise.resolve();
+        }
+
+        let tx;
+        try {
+            tx = this.db.transaction(storeNames, 'readwrite');
+            work(tx);
+        } catch (error) {
+            // e.g. a record that can't be stored; abort so nothing is half written
+            tx?.abort();
+            this.reportWriteError(error);
+            return Promise.resolve();
+        }
+        return transactionDone(tx).catch(error => this.reportWriteError(error));
+    },
+
+    /**
+     * Register a callback for writes that fail to persist. The in-memory data is
+     * still changed, so the app keeps working, but the change would be lost on reload.
+     * @param {Function} listener - Called with the error
+     */
+    onWriteError(listener) {
+        this.writeErrorListeners.push(listener);
+    },
+
+    reportWriteError(error) {
+        console.error('Failed to persist data:', error);
+        this.writeErrorListeners.forEach(listener => listener(error));
+    },
+
+    /**
+     * Queue puts for a list of shows and their episodes on a transaction
+     * @param {IDBTransaction} tx - Open readwrite transaction
+     * @param {Array} shows - Shows to write
+     * @param {number} startIndex - sortIndex of the first show
+     */
+    writeShows(tx, shows, startIndex = 0) {
+        const showStore = tx.objectStore(DB_STORES.SHOWS);
+        const episodeStore = tx.objectStore(DB_STORES.EPISODES);
+        shows.forEach((show, index) => {
+            this.showOrder[show.id] = startIndex + index;
+            const { showRecord, episodeRecords } = toStoredShow(show, startIndex + index);
+            showStore.put(showRecord);
+            episodeRecords.forEach(record => episodeStore.put(record));
+        });
+    },
+
+    /**
+     * Queue one put per setting on a transaction
+     * @param {IDBTransaction} tx - Open readwrite transaction
+     * @param {Object} settings - Settings to write
+     */
+    writeSettings(tx, settings) {
+        const store = tx.objectStore(DB_STORES.SETTINGS);
+        Object.entries(settings).forEach(([key, value]) => store.put({ key, value }));
+    },
+
+    /**
+     * Queue deletes for episodes of a show that are no longer present
+     * @param {IDBTransaction} tx - Open readwrite transaction
+     * @param {Object|undefined} previousShow - The show as it was before the write
+     * @param {Array} keepEpisodes - Episodes that are still part of the show
+     */
+    deleteStaleEpisodes(tx, previousShow, keepEpisodes = []) {
+        if (!previousShow) return;
+        const keepIds = new Set(keepEpisodes.map(ep => ep.id));
+        const store = tx.objectStore(DB_STORES.EPISODES);
+        previousShow.episodes
+            .filter(ep => !keepIds.has(ep.id))
+            .forEach(ep => store.delete(ep.id));
+    },
+
+    /**
+     * Replace every show and episode
+     * @param {Array} shows - Full shows array
+     */
+    replaceShows(shows) {
+        this.cache.shows = shows;
+        this.showOrder = {};
+        return this.write([DB_STORES.SHOWS, DB_STORES.EPISODES], tx => {
+            tx.objectStore(DB_STORES.SHOWS).clear();
+            tx.objectStore(DB_STORES.EPISODES).clear();
+            this.writeShows(tx, shows);
+        });
+    },
+
+    /**
+     * Insert or replace a single show and all of its episodes
+     * @param {Object} show - Show object with embedded episodes
+     * @param {number} [sortIndex] - Position to restore a removed show to (defaults to the end)
+     */
+    putShow(show, sortIndex) {
+        if (sortIndex === undefined) {
+            sortIndex = show.id in this.showOrder
+                ? this.showOrder[show.id]
+                : Math.max(-1, ...Object.values(this.showOrder)) + 1;
+        }
+
+        const cacheIndex = this.cache.shows.findIndex(s => s.id === show.id);
+        const previousShow = this.cache.shows[cacheIndex];
+        if (cacheIndex === -1) {
+            const insertAt = this.cache.shows.findIndex(s => this.showOrder[s.id] > sortIndex);
+            if (insertAt === -1) {
+                this.cache.shows.push(show);
+            } else {
+                this.cache.shows.splice(insertAt, 0, show);
+            }
+        } else {
+            this.cache.shows[cacheIndex] = show;
+        }
+        this.showOrder[show.id] = sortIndex;
+
+        return this.write([DB_STORES.SHOWS, DB_STORES.EPISODES], tx => {
+            this.deleteStaleEpisodes(tx, previousShow, show.episodes);
+            this.writeShows(tx, [show], sortIndex);
+        });
+    },
+
+    /**
+     * Update a show's own fields without touching its episodes
+     * @param {Object} show - Show object with embedded episodes
+     */
+    putShowRecord(show) {
+        const cacheIndex = this.cache.shows.findIndex(s => s.id === show.id);
+        if (cacheIndex === -1) return Promise.resolve();
+        this.cache.shows[cacheIndex] = show;
+
+        return this.write([DB_STORES.SHOWS], tx => {
+            const sortIndex = this.showOrder[show.id];
+            tx.objectStore(DB_STORES.SHOWS).put(toStoredShow(show, sortIndex).showRecord);
+        });
+    },
+
+    /**
+     * Update a single episode record
+     * @param {string} showId - The show's ID
+     * @param {Object} episode - The updated episode
+     */
+    putEpisode(showId, episode) {
+        const show = this.cache.shows.find(s => s.id === showId);
+        if (!show) return Promise.resolve();
+
+        const sortIndex = show.episodes.findIndex(ep => ep.id === episode.id);
+        if (sortIndex === -1) return Promise.resolve();
+        show.episodes[sortIndex] = episode;
+
+        return this.write([DB_STORES.EPISODES], tx => {
+            tx.objectStore(DB_STORES.EPISODES).put({ ...episode, showId, sortIndex });
+        });
+    },
+
+    /**
+     * Delete a show and its episodes
+     * @param {string} showId - The show's ID
+     */
+    deleteShow(showId) {
+        const previousShow = this.cache.shows.find(s => s.id === showId);
+        this.cache.shows = this.cache.shows.filter(s => s.id !== showId);
+        delete this.showOrder[showId];
+        return this.write([DB_STORES.SHOWS, DB_STORES.EPISODES], tx => {
+            tx.objectStore(DB_STORES.SHOWS).delete(showId);
+            this.deleteStaleEpisodes(tx, previousShow);
+        });
+    },
+
+    /**
+     * Remove a single history entry
+     * @param {string} entryId - The history entry's ID
+     */
+    deleteHistoryEntry(entryId) {
+        this.cache.history = this.cache.history.filter(entry => entry.id !== entryId);
+        return this.write([DB_STORES.HISTORY], tx => {
+            tx.objectStore(DB_STORES.HISTORY).delete(entryId);
+        });
+    },
+
+    /**
+     * Add a single history entry, keeping the history newest first
+     * @param {Object} entry - History entry
+     */
+    addHistoryEntry(entry) {
+        const insertAt = this.cache.history.findIndex(e =>
+            new Date(e.watchedAt) <= new Date(entry.watchedAt)
+        );
+        if (insertAt === -1) {
+            this.cache.history.push(entry);
+        } else {
+            this.cache.history.splice(insertAt, 0, entry);
+        }
+        return this.write([DB_STORES.HISTORY], tx => {
+            tx.objectStore(DB_STORES.HISTORY).put(entry);
+        });
+    },
+
+    /**
+     * Replace the entire history
+     * @param {Array} history - History entries (newest first)
+     */
+    replaceHistory(history) {
+        this.cache.history = history;
+        return this.write([DB_STORES.HISTORY], tx => {
+            const store = tx.objectStore(DB_STORES.HISTORY);
+            store.clear();
+            history.forEach(entry => store.put(entry));
+        });
+    },
+
+    /**
+     * Replace the settings object, writing only the keys that changed
+     * @param {Object} settings - Full settings object
+     */
+    putSettings(settings) {
+        const previous = this.cache.settings || {};
+        this.cache.settings = settings;
+
+        const changed = {};
+        Object.keys(settings).forEach(key => {
+            if (JSON.stringify(settings[key]) !== JSON.stringify(previous[key])) {
+                changed[key] = settings[key];
+            }
+        });
+        const removed = Object.keys(previous).filter(key => !(key in settings));
+
+        return this.write([DB_STORES.SETTINGS], tx => {
+            this.writeSettings(tx, changed);
+            removed.forEach(key => tx.objectStore(DB_STORES.SETTINGS).delete(key));
+        });
+    },
+
+    /**
+     * Insert or replace a franchise
+     * @param {Object} franchise - Franchise object
+     */
+    putFranchise(franchise) {
+        const cacheIndex = this.cache.franchises.findIndex(f => f.id === franchise.id);
+        if (cacheIndex === -1) {
+            this.cache.franchises.push(franchise);
+        } else {
+            this.cache.franchises[cacheIndex] = franchise;
+        }
+        return this.write([DB_STORES.FRANCHISES], tx => {
+            tx.objectStore(DB_STORES.FRANCHISES).put(franchise);
+        });
+    },
+
+    /**
+     * Delete a franchise (its shows are kept)
+     * @param {string} franchiseId - The franchise's ID
+     */
+    deleteFranchise(franchiseId) {
+        this.cache.franchises = this.cache.franchises.filter(f => f.id !== franchiseId);
+        return this.write([DB_STORES.FRANCHISES], tx => {
+            tx.objectStore(DB_STORES.FRANCHISES).delete(franchiseId);
+        });
+    },
+
+    /**
+     * Replace every franchise
+     * @param {Array} franchises - Full franchises array
+     */
+    replaceFranchises(franchises) {
+        this.cache.franchises = franchises;
+        return this.write([DB_STORES.FRANCHISES], tx => {
+            const store = tx.objectStore(DB_STORES.FRANCHISES);
+            store.clear();
+            franchises.forEach(franchise => store.put(franchise));
+        });
+    },
+
+    /**
+     * Set a bookkeeping value
+     * @param {string} key - Meta key (e.g. "schemaVersion")
+     * @param {*} value - Value to store
+     */
+    putMeta(key, value) {
+        this.cache.meta = { ...this.cache.meta, [key]: value };
+        return this.write([DB_STORES.META], tx => {
+            tx.objectStore(DB_STORES.META).put({ key, value });
+        });
+    },
+
+    /**
+     * Insert or replace a journal entry. Entries marked sessionOnly are kept in memory
+     * only, and so is every entry beneath them (see keepJournalForSession).
+     * @param {Object} entry - Journal entry with id, stack and seq
+     */
+    putJournalEntry(entry) {
+        this.cache.journal = this.cache.journal
+            .filter(e => e.id !== entry.id)
+            .concat(entry)
+            .sort((a, b) => a.seq - b.seq);
+        if (entry.sessionOnly) return this.keepJournalForSession([entry.id]);
+        return this.write([DB_STORES.JOURNAL], tx => {
+            tx.objectStore(DB_STORES.JOURNAL).put(entry);
+        });
+    },
+
+    /**
+     * Mark journal entries as kept for this session only, along with every entry beneath
+     * them in the same stack. The saved journal must never skip a step: after a reload,
+     * undoing past a missing entry would apply its ops to the wrong data.
+     * @param {Array<string>} entryIds - IDs of the entries to keep in memory only
+     * @returns {Array<string>} IDs of the entries that were saved until now
+     */
+    markJournalSessionOnly(entryIds) {
+        const marked = this.cache.journal.filter(e => entryIds.includes(e.id));
+        const unsaved = [];
+        this.cache.journal = this.cache.journal.map(entry => {
+            const beneath = marked.some(m => m.stack === entry.stack && m.seq >= entry.seq);
+            if (!beneath || entry.sessionOnly) return entry;
+            unsaved.push(entry.id);
+            return { ...entry, sessionOnly: true };
+        });
+        return unsaved;
+    },
+
+    /**
+     * Keep journal entries (and every entry beneath them) in memory only, deleting their saved copies
+     * @param {Array<string>} entryIds - IDs of the entries to keep in memory only
+     */
+    keepJournalForSession(entryIds) {
+        const unsaved = this.markJournalSessionOnly(entryIds);
+        if (unsaved.length === 0) return Promise.resolve();
+        return this.write([DB_STORES.JOURNAL], tx => {
+            unsaved.forEach(id => tx.objectStore(DB_STORES.JOURNAL).delete(id));
+        });
+    },
+
+    /**
+     * Delete journal entries
+     * @param {Array<string>} entryIds - IDs of the entries to delete
+     */
+    deleteJournalEntries(entryIds) {
+        if (entryIds.length === 0) return Promise.resolve();
+        this.cache.journal = this.cache.journal.filter(e => !entryIds.includes(e.id));
+        return this.write([DB_STORES.JOURNAL], tx => {
+            entryIds.forEach(id => tx.objectStore(DB_STORES.JOURNAL).delete(id));
+        });
+    },
+
+    // ============================================
+    // API RESPONSE CACHE
+    // ============================================
+
+    /**
+     * Read a cached API response
+     * @param {string} key - Request URL (without API keys)
+     * @returns {Promise<Object|null>} { key, data, fetchedAt } or null if not cached
+     */
+    async getApiResponse(key) {
+        if (!this.db) {
+            return this.apiResponses[key] || null;
+        }
+
+        try {
+            const tx = this.db.transaction([DB_STORES.API_CACHE], 'readonly');
+            const record = await promisifyRequest(tx.objectStore(DB_STORES.API_CACHE).get(key));
+            return record || null;
+        } catch (error) {
+            console.error('Failed to read cached response:', error);
+            return null;
+        }
+    },
+
+    /**
+     * Insert or replace a cached API response
+     * @param {Object} entry - { key, data, fetchedAt }
+     */
+    putApiResponse(entry) {
+        if (!this.db) {
+            this.apiResponses[entry.key] = entry;
+            return Promise.resolve();
+        }
+        return this.write([DB_STORES.API_CACHE], tx => {
+            tx.objectStore(DB_STORES.API_CACHE).put(entry);
+        });
+    },
+
+    /**
+     * Delete cached API responses fetched before a date, then the oldest ones beyond a count
+     * @param {string} before - ISO date; responses fetched earlier are deleted
+     * @param {number} maxEntries - Most responses to keep
+     * @returns {Promise<number>} Number of responses deleted
+     */
+    async pruneApiResponses(before, maxEntries) {
+        if (!this.db) {
+            const keys = Object.values(this.apiResponses)
+                .sort((a, b) => b.fetchedAt.localeCompare(a.fetchedAt))
+                .filter((entry, index) => entry.fetchedAt < before || index >= maxEntries)
+                .map(entry => entry.key);
+            keys.forEach(key => delete this.apiResponses[key]);
+            return keys.length;
+        }
+
+        try {
+            const tx = this.db.transaction([DB_STORES.API_CACHE], 'readwrite');
+            const store = tx.objectStore(DB_STORES.API_CACHE);
+            const byDate = store.index('fetchedAt');
+            let deleted = 0;
+
+            const expired = await promisifyRequest(byDate.getAllKeys(IDBKeyRange.upperBound(before, true)));
+            expired.forEach(key => store.delete(key));
+            deleted += expired.length;
+
+            // Counted after the deletes above; the oldest beyond the newest maxEntries go
+            const overflow = (await promisifyRequest(store.count())) - maxEntries;
+            if (overflow > 0) {
+                const oldest = await promisifyRequest(byDate.getAllKeys(IDBKeyRange.lowerBound(before), overflow));
+                oldest.forEach(key => store.delete(key));
+                deleted += oldest.length;
+            }
+
+            await transactionDone(tx);
+            return deleted;
+        } catch (error) {
+            console.error('Failed to prune cached responses:', error);
+            return 0;
+        }
+    },
+
+    // ============================================
+    // LOCALSTORAGE FALLBACK
+    // ============================================
+
+    loadFromLocalStorage() {
+        if (typeof localStorage === 'undefined') return;
+
+        const shows = localStorage.getItem(LEGACY_STORAGE_KEYS.SHOWS);
+        const history = localStorage.getItem(LEGACY_STORAGE_KEYS.HISTORY);
+        const settings = localStorage.getItem(LEGACY_STORAGE_KEYS.SETTINGS);
+        const meta = localStorage.getItem(LEGACY_STORAGE_KEYS.META);
+        const journal = localStorage.getItem(LEGACY_STORAGE_KEYS.JOURNAL);
+        const franchises = localStorage.getItem(LEGACY_STORAGE_KEYS.FRANCHISES);
+
+        this.cache.shows = shows ? JSON.parse(shows) : [];
+        this.cache.history = history ? JSON.parse(history) : [];
+        this.cache.settings = settings ? JSON.parse(settings) : null;
+        this.cache.meta = meta ? JSON.parse(meta) : {};
+        this.cache.journal = journal ? JSON.parse(journal) : [];
+        this.cache.franchises = franchises ? JSON.parse(franchises) : [];
+    },
+
+    /**
+     * Write the given stores to their localStorage keys
+     * @param {Array<string>} storeNames - Stores that changed
+     */
+    saveToLocalStorage(storeNames) {
+        if (typeof localStorage === 'undefined') return;
+
+        const targets = new Set(storeNames.map(name => FALLBACK_STORAGE[name]).filter(Boolean));
+        targets.forEach(target => {
+            try {
+                this.setLocalStorageItem(target);
+            } catch (error) {
+                this.reportWriteError(error);
+            }
+        });
+    },
+
+    /**
+     * Store one fallback key. If storage is full, the oldest saved undo steps are
+     * kept for this session only (see markJournalSessionOnly) until the value fits.
+     * @param {Object} target - FALLBACK_STORAGE entry
+     */
+    setLocalStorageItem({ key, value }) {
+        while (true) {
+            const data = value(this.cache);
+            if (data === null) return;
+
+            try {
+                localStorage.setItem(key, JSON.stringify(data));
+                return;
+            } catch (error) {
+                const journal = FALLBACK_STORAGE[DB_STORES.JOURNAL];
+                const persisted = journal.value(this.cache);
+                if (error.name !== 'QuotaExceededError' || persisted.length === 0) throw error;
+
+                this.markJournalSessionOnly([persisted[0].id]);
+                if (key !== journal.key) {
+                    localStorage.setItem(journal.key, JSON.stringify(journal.value(this.cache)));
+                }
+            }
+        }
+    }
+};
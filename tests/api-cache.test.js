@@ -0,0 +1,205 @@
+/**
+ * API response cache tests, run against a local mock HTTP server
+ *
+ * Run with: node --test tests/
+ *
+ * api.js is a browser script, so it is loaded into a VM context and pointed at the
+ * mock server and an in-memory cache store with TV_API.configure.
+ */
+
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const http = require('node:http');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+// ============================================
+// SETUP
+// ============================================
+
+let server;
+let baseUrl;
+let requests = [];
+let shows = {};
+let offline = false; // Drop connections, as if the network were down
+
+/**
+ * Load api.js into a fresh context, using the given cache store
+ * @param {Object} cacheStore - Store for cached responses
+ * @returns {Object} The context's globals (TV_API, fetchJsonCached, pruneApiCache, ...)
+ */
+function loadApi(cacheStore) {
+    const context = vm.createContext({ console, fetch, URL, AbortController, setTimeout, clearTimeout });
+    const source = fs.readFileSync(path.join(__dirname, '..', 'api.js'), 'utf8');
+    vm.runInContext(`${source}\nthis.api = { TV_API, API_CACHE_TTL, fetchJsonCached, pruneApiCache };`, context);
+    context.api.TV_API.configure({ baseUrl, cacheStore });
+    return context.api;
+}
+
+/**
+ * Create an in-memory cache store with the storage engine's cache interface
+ * @returns {Object} Cache store; its entries Map holds the cached responses
+ */
+function createMemoryStore() {
+    const entries = new Map();
+    return {
+        entries,
+        async getApiResponse(key) {
+            return entries.get(key) || null;
+        },
+        async putApiResponse(entry) {
+            entries.set(entry.key, entry);
+        },
+        async pruneApiResponses(before, maxEntries) {
+            const sorted = [...entries.values()].sort((a, b) => b.fetchedAt.localeCompare(a.fetchedAt));
+            const stale = sorted.filter((entry, index) => entry.fetchedAt < before || index >= maxEntries);
+            stale.forEach(entry => entries.delete(entry.key));
+            return stale.length;
+        }
+    };
+}
+
+/**
+ * Wait for pending background work (e.g. a revalidation) to finish
+ * @returns {Promise<void>}
+ */
+function settle() {
+    return new Promise(resolve => setTimeout(resolve, 50));
+}
+
+before(async () => {
+    server = http.createServer((req, res) => {
+        if (offline) {
+            req.socket.destroy();
+            return;
+        }
+        requests.push(req.url);
+        res.setHeader('Content-Type', 'application/json');
+
+        // Like TVMaze, a search with no match is an empty list, but an unknown show is a 404
+        const search = req.url.match(/^\/search\/shows\?q=(.*)$/);
+        if (search) {
+            const show = shows[decodeURIComponent(search[1])];
+            res.end(JSON.stringify(show ? [{ show }] : []));
+            return;
+        }
+        const showId = req.url.match(/^\/shows\/(\d+)$/);
+        const show = showId && Object.values(shows).find(s => s.id === Number(showId[1]));
+        if (!show) {
+            res.statusCode = 404;
+            res.end('{}');
+            return;
+        }
+        res.end(JSON.stringify(show));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+beforeEach(() => {
+    requests = [];
+    offline = false;
+    shows = { Lost: { id: 123, name: 'Lost', status: 'Ended', genres: ['Drama'] } };
+});
+
+// ============================================
+// TESTS
+// ============================================
+
+test('serves a fresh cached response without a request', async () => {
+    const { TV_API } = loadApi(createMemoryStore());
+
+    const first = await TV_API.searchShows('Lost');
+    const second = await TV_API.searchShows('Lost');
+
+    assert.strictEqual(requests.length, 1);
+    assert.strictEqual(first.cached, false);
+    assert.strictEqual(second.cached, false);
+    assert.deepStrictEqual(second.results, first.results);
+});
+
+test('returns a stale response right away and refreshes it in the background', async () => {
+    const store = createMemoryStore();
+    const { TV_API, API_CACHE_TTL } = loadApi(store);
+    await TV_API.searchShows('Lost');
+
+    const [entry] = store.entries.values();
+    entry.fetchedAt = new Date(Date.now() - API_CACHE_TTL.SEARCH - 1000).toISOString();
+    shows.Lost = { ...shows.Lost, name: 'Lost (2004)' };
+
+    const stale = await TV_API.searchShows('Lost');
+    assert.strictEqual(stale.cached, true);
+    assert.strictEqual(stale.results[0].name, 'Lost');
+
+    await settle();
+    assert.strictEqual(requests.length, 2);
+    const refreshed = await TV_API.searchShows('Lost');
+    assert.strictEqual(refreshed.cached, false);
+    assert.strictEqual(refreshed.results[0].name, 'Lost (2004)');
+});
+
+test('serves the cached response when the server cannot be reached', async () => {
+    const store = createMemoryStore();
+    const { TV_API, API_CACHE_TTL } = loadApi(store);
+    await TV_API.searchShows('Lost');
+
+    const [entry] = store.entries.values();
+    entry.fetchedAt = new Date(Date.now() - API_CACHE_TTL.SEARCH - 1000).toISOString();
+    offline = true;
+
+    const fallback = await TV_API.searchShows('Lost');
+    assert.strictEqual(fallback.cached, true);
+    assert.strictEqual(fallback.results[0].name, 'Lost');
+
+    const uncached = await TV_API.searchShows('Dark').catch(error => error);
+    assert.strictEqual(uncached.type, 'offline');
+    await settle();
+});
+
+test('asks the network first for a fresh response, falling back to the cache when offline', async () => {
+    const { fetchJsonCached, API_CACHE_TTL } = loadApi(createMemoryStore());
+    const url = `${baseUrl}/shows/123`;
+    await fetchJsonCached(url, API_CACHE_TTL.SHOW);
+    shows.Lost = { ...shows.Lost, status: 'Running' };
+
+    const refreshed = await fetchJsonCached(url, API_CACHE_TTL.SHOW, { fresh: true });
+    assert.strictEqual(requests.length, 2);
+    assert.strictEqual(refreshed.cached, false);
+    assert.strictEqual(refreshed.data.status, 'Running');
+
+    offline = true;
+    const fallback = await fetchJsonCached(url, API_CACHE_TTL.SHOW, { fresh: true });
+    assert.strictEqual(fallback.cached, true);
+    assert.strictEqual(fallback.data.status, 'Running');
+});
+
+test('returns no results for a search with no match', async () => {
+    const { TV_API } = loadApi(createMemoryStore());
+
+    const { results, cached } = await TV_API.searchShows('Missing');
+    assert.deepStrictEqual([...results], []);
+    assert.strictEqual(cached, false);
+});
+
+test('does not fall back to the cache for a show that is not found', async () => {
+    const { fetchJsonCached, API_CACHE_TTL } = loadApi(createMemoryStore());
+    const url = `${baseUrl}/shows/123`;
+    await fetchJsonCached(url, API_CACHE_TTL.SHOW);
+    shows = {};
+
+    const error = await fetchJsonCached(url, API_CACHE_TTL.SHOW, { fresh: true }).catch(e => e);
+    assert.strictEqual(error.type, 'notFound');
+});
+
+test('prunes responses long past their TTL', async () => {
+    const store = createMemoryStore();
+    const { TV_API, pruneApiCache } = loadApi(store);
+    await TV_API.searchShows('Lost');
+    store.entries.set('old', { key: 'old', data: [], fetchedAt: '2000-01-01T00:00:00.000Z' });
+
+    assert.strictEqual(await pruneApiCache(), 1);
+    assert.deepStrictEqual([...store.entries.keys()], [`${baseUrl}/search/shows?q=Lost`]);
+});
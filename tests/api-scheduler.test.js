@@ -0,0 +1,144 @@
+/**
+ * Request scheduler and retry tests, run against a local mock HTTP server
+ *
+ * Run with: node --test tests/
+ *
+ * api.js is loaded into a VM context whose setTimeout records each delay and runs it
+ * a thousand times faster, so retry backoff can be checked without waiting for it.
+ */
+
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const http = require('node:http');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+// ============================================
+// SETUP
+// ============================================
+
+let server;
+let baseUrl;
+let requests = 0;
+let handle; // (req, res) handler for the current test
+let delays = []; // Delays api.js asked setTimeout for
+let onDelay = null; // Called whenever api.js sets a timeout
+
+/**
+ * Load api.js into a fresh context with a fast, recording setTimeout
+ * @returns {Object} The context's globals (scheduledFetch, API_MAX_CONCURRENT, ...)
+ */
+function loadApi() {
+    const fastTimeout = (fn, ms) => {
+        delays.push(ms);
+        if (onDelay) onDelay(ms);
+        return setTimeout(fn, ms / 1000);
+    };
+    const context = vm.createContext({ console, fetch, URL, AbortController, setTimeout: fastTimeout, clearTimeout });
+    const source = fs.readFileSync(path.join(__dirname, '..', 'api.js'), 'utf8');
+    vm.runInContext(`${source}\nthis.api = { scheduledFetch, API_MAX_CONCURRENT };`, context);
+    return context.api;
+}
+
+before(async () => {
+    server = http.createServer((req, res) => {
+        requests++;
+        handle(req, res);
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+beforeEach(() => {
+    requests = 0;
+    delays = [];
+    onDelay = null;
+    handle = (req, res) => res.end('{}');
+});
+
+// ============================================
+// TESTS
+// ============================================
+
+test('retries a rate-limited request after its Retry-After delay', async () => {
+    const { scheduledFetch } = loadApi();
+    handle = (req, res) => {
+        if (requests === 1) {
+            res.statusCode = 429;
+            res.setHeader('Retry-After', '2');
+        }
+        res.end('{}');
+    };
+
+    const response = await scheduledFetch(`${baseUrl}/shows/1`);
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(requests, 2);
+    assert.deepStrictEqual(delays, [2000]);
+});
+
+test('retries server errors with exponential backoff, then fails', async () => {
+    const { scheduledFetch } = loadApi();
+    handle = (req, res) => {
+        res.statusCode = 503;
+        res.end('{}');
+    };
+
+    const error = await scheduledFetch(`${baseUrl}/shows/1`).catch(e => e);
+    assert.strictEqual(error.type, 'failed');
+    assert.strictEqual(error.status, 503);
+    assert.strictEqual(requests, 4);
+    assert.deepStrictEqual(delays, [1000, 2000, 4000]);
+});
+
+test('runs at most API_MAX_CONCURRENT requests at once', async () => {
+    const { scheduledFetch, API_MAX_CONCURRENT } = loadApi();
+    let inFlight = 0;
+    let maxInFlight = 0;
+    handle = (req, res) => {
+        inFlight++;
+        maxInFlight = Math.max(maxInFlight, inFlight);
+        setTimeout(() => {
+            inFlight--;
+            res.end('{}');
+        }, 20);
+    };
+
+    const urls = Array.from({ length: API_MAX_CONCURRENT * 2 + 1 }, (_, i) => `${baseUrl}/shows/${i}`);
+    await Promise.all(urls.map(url => scheduledFetch(url)));
+    assert.strictEqual(requests, urls.length);
+    assert.strictEqual(maxInFlight, API_MAX_CONCURRENT);
+});
+
+test('drops a request cancelled while it waits for a free slot', async () => {
+    const { scheduledFetch, API_MAX_CONCURRENT } = loadApi();
+    let release;
+    const released = new Promise(resolve => { release = resolve; });
+    handle = (req, res) => released.then(() => res.end('{}'));
+
+    const running = Array.from({ length: API_MAX_CONCURRENT }, (_, i) => scheduledFetch(`${baseUrl}/shows/${i}`));
+    const controller = new AbortController();
+    const queued = scheduledFetch(`${baseUrl}/shows/queued`, controller.signal).catch(e => e);
+    controller.abort();
+
+    assert.strictEqual((await queued).type, 'aborted');
+    release();
+    await Promise.all(running);
+    assert.strictEqual(requests, API_MAX_CONCURRENT);
+});
+
+test('cancelling during a retry wait rejects without retrying', async () => {
+    const { scheduledFetch } = loadApi();
+    handle = (req, res) => {
+        res.statusCode = 500;
+        res.end('{}');
+    };
+    const controller = new AbortController();
+    onDelay = () => queueMicrotask(() => controller.abort());
+
+    const error = await scheduledFetch(`${baseUrl}/shows/1`, controller.signal).catch(e => e);
+    assert.strictEqual(error.type, 'aborted');
+    assert.strictEqual(requests, 1);
+});